@@ -0,0 +1,211 @@
+const User = require('../models/User');
+const Property = require('../models/Property');
+const Appointment = require('../models/Appointment');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { getAgentSchedule, getAvailableSlots } = require('../utils/availability');
+const { localizePrice } = require('../utils/currency');
+const { LISTING_SORTS, resolveSort, toSortOrder } = require('../utils/sort');
+const { AGENT_ROLE } = require('../utils/permissions');
+
+// @desc    Get all agents
+// @route   GET /api/v1/agents
+// @access  Public
+const getAgents = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, specialization } = req.query;
+
+  // Build query
+  const query = { role: AGENT_ROLE, isActive: true };
+  if (specialization) query['agentInfo.specializations'] = specialization;
+
+  // Pagination
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const agents = await User.find(query)
+    .sort('name')
+    .skip(skip)
+    .limit(limitNum)
+    .select('name email phone avatar agentInfo');
+
+  // Count available listings per agent on this page
+  const listingCounts = await Property.aggregate([
+    {
+      $match: {
+        agent: { $in: agents.map(agent => agent._id) },
+        status: 'Available'
+      }
+    },
+    {
+      $group: {
+        _id: '$agent',
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const countsByAgent = listingCounts.reduce((acc, stat) => {
+    acc[stat._id.toString()] = stat.count;
+    return acc;
+  }, {});
+
+  const totalItems = await User.countDocuments(query);
+  const totalPages = Math.ceil(totalItems / limitNum);
+
+  const pagination = {
+    currentPage: pageNum,
+    totalPages,
+    totalItems,
+    itemsPerPage: limitNum,
+    hasNextPage: pageNum < totalPages,
+    hasPreviousPage: pageNum > 1
+  };
+
+  res.json({
+    success: true,
+    data: {
+      agents: agents.map(agent => ({
+        ...agent.toAgentCard(),
+        activeListings: countsByAgent[agent._id.toString()] || 0
+      })),
+      pagination
+    },
+    message: 'Agents retrieved successfully'
+  });
+});
+
+// @desc    Get properties listed by an agent
+// @route   GET /api/v1/agents/:id/properties
+// @access  Public
+const getAgentProperties = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, status = 'Available', sort = 'newest' } = req.query;
+
+  const agent = await User.findOne({ _id: req.params.id, role: AGENT_ROLE, isActive: true });
+
+  if (!agent) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'NOT_FOUND',
+        message: 'Agent not found'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const query = { agent: agent._id, status };
+
+  // Pagination
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const properties = await Property.find(query)
+    .sort(toSortOrder(resolveSort(LISTING_SORTS, sort)))
+    .skip(skip)
+    .limit(limitNum)
+    .select('-__v -agent -priceHistory -statusHistory');
+
+  const totalItems = await Property.countDocuments(query);
+  const totalPages = Math.ceil(totalItems / limitNum);
+
+  const pagination = {
+    currentPage: pageNum,
+    totalPages,
+    totalItems,
+    itemsPerPage: limitNum,
+    hasNextPage: pageNum < totalPages,
+    hasPreviousPage: pageNum > 1
+  };
+
+  res.json({
+    success: true,
+    data: {
+      agent: agent.toAgentCard(),
+      properties: properties.map(property => ({
+        ...property.toJSON(),
+        ...localizePrice(property, req.priceDisplay)
+      })),
+      pagination
+    },
+    message: 'Agent properties retrieved successfully'
+  });
+});
+
+// @desc    Get an agent's free viewing slots
+// @route   GET /api/v1/agents/:id/availability
+// @access  Public
+const getAgentAvailability = asyncHandler(async (req, res) => {
+  const { from, days = 7 } = req.query;
+
+  const agent = await User.findOne({ _id: req.params.id, role: AGENT_ROLE, isActive: true });
+
+  if (!agent) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'NOT_FOUND',
+        message: 'Agent not found'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const schedule = getAgentSchedule(agent);
+  const start = from ? new Date(from) : new Date();
+  const daysNum = parseInt(days);
+
+  // Look a day either side so timezone offsets can't hide bookings
+  const booked = await Appointment.getBookedSlots(
+    agent._id,
+    new Date(start.getTime() - 24 * 60 * 60 * 1000),
+    new Date(start.getTime() + (daysNum + 1) * 24 * 60 * 60 * 1000)
+  );
+
+  const slots = getAvailableSlots(schedule, { from: start, days: daysNum, booked });
+
+  res.json({
+    success: true,
+    data: {
+      agent: agent.toAgentCard(),
+      timezone: schedule.timeZone,
+      duration: schedule.duration,
+      slots
+    },
+    message: 'Agent availability retrieved successfully'
+  });
+});
+
+// @desc    Update the current agent's weekly availability
+// @route   PUT /api/v1/me/availability
+// @access  Private (Agent)
+const updateMyAvailability = asyncHandler(async (req, res) => {
+  const { availability, appointmentDuration, timezone } = req.body;
+
+  const agent = await User.findById(req.user._id);
+
+  if (availability !== undefined) agent.agentInfo.availability = availability;
+  if (appointmentDuration !== undefined) agent.agentInfo.appointmentDuration = appointmentDuration;
+  if (timezone !== undefined) agent.preferences.timezone = timezone;
+
+  await agent.save();
+
+  const schedule = getAgentSchedule(agent);
+
+  res.json({
+    success: true,
+    data: {
+      availability: schedule.availability,
+      duration: schedule.duration,
+      timezone: schedule.timeZone
+    },
+    message: 'Availability updated successfully'
+  });
+});
+
+module.exports = {
+  getAgents,
+  getAgentProperties,
+  getAgentAvailability,
+  updateMyAvailability
+};
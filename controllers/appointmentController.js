@@ -0,0 +1,473 @@
+const Appointment = require('../models/Appointment');
+const Contact = require('../models/Contact');
+const Property = require('../models/Property');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { getAgentSchedule, isAvailableSlot } = require('../utils/availability');
+const { AGENT_ROLE } = require('../utils/permissions');
+
+// Upcoming requests a user may have waiting for confirmation at once
+const MAX_OPEN_REQUESTS = 3;
+
+// Check that a viewing can be booked with an agent at a start time.
+// Returns { endTime } on success or { error: { statusCode, code, message } }.
+const checkSlot = async (agent, startTime, excludeId) => {
+  const schedule = getAgentSchedule(agent);
+  const endTime = new Date(startTime.getTime() + schedule.duration * 60 * 1000);
+
+  if (startTime.getTime() <= Date.now()) {
+    return { error: { statusCode: 400, code: 'VALIDATION_ERROR', message: 'Appointment time must be in the future' } };
+  }
+
+  if (!isAvailableSlot(schedule, startTime)) {
+    return { error: { statusCode: 400, code: 'VALIDATION_ERROR', message: 'Requested time is not one of the agent\'s available slots' } };
+  }
+
+  const conflicts = await Appointment.findConflicts(agent._id, startTime, endTime, excludeId);
+  if (conflicts.length > 0) {
+    return { error: { statusCode: 409, code: 'SLOT_UNAVAILABLE', message: 'The requested time slot is no longer available' } };
+  }
+
+  return { endTime };
+};
+
+// Create an appointment that holds a slot; resolves to null if another request
+// took the slot since it was checked (unique agent/start time index)
+const createInSlot = (data) => Appointment.create(data).catch(error => {
+  if (error.code === 11000) return null;
+  throw error;
+});
+
+// Find the active agent user assigned to a property
+const findPropertyAgent = (property) => {
+  if (!property.agent) return null;
+  return User.findOne({ _id: property.agent, role: AGENT_ROLE, isActive: true });
+};
+
+// @desc    Request a viewing appointment
+// @route   POST /api/v1/appointments
+// @access  Private
+const requestAppointment = asyncHandler(async (req, res) => {
+  const { propertyId, startTime, phone, notes } = req.body;
+
+  const property = await Property.findById(propertyId);
+
+  if (!property) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'NOT_FOUND',
+        message: 'Property not found'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (property.status !== 'Available') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Viewings can only be requested for available properties'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const agent = await findPropertyAgent(property);
+  if (!agent) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'This property has no agent to schedule a viewing with'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const openRequests = await Appointment.countOpenRequests(req.user._id);
+  if (openRequests >= MAX_OPEN_REQUESTS) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'LIMIT_EXCEEDED',
+        message: `You can have up to ${MAX_OPEN_REQUESTS} viewing requests waiting for confirmation`
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const start = new Date(startTime);
+  const slot = await checkSlot(agent, start);
+  if (slot.error) {
+    return res.status(slot.error.statusCode).json({
+      success: false,
+      error: {
+        code: slot.error.code,
+        message: slot.error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const appointment = await createInSlot({
+    property: property._id,
+    agent: agent._id,
+    requester: req.user._id,
+    requesterName: req.user.name,
+    requesterEmail: req.user.email,
+    requesterPhone: phone || req.user.phone,
+    startTime: start,
+    endTime: slot.endTime,
+    notes
+  });
+
+  if (!appointment) {
+    return res.status(409).json({
+      success: false,
+      error: {
+        code: 'SLOT_UNAVAILABLE',
+        message: 'The requested time slot is no longer available'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    data: appointment,
+    message: 'Viewing requested successfully'
+  });
+});
+
+// @desc    Get appointments for the current user
+// @route   GET /api/v1/appointments
+// @access  Private
+const getAppointments = asyncHandler(async (req, res) => {
+  const { status, from, to, agent, page = 1, limit = 20 } = req.query;
+
+  // Managers see everything; others see the viewings they host and their own requests
+  const query = {};
+  if (req.user.hasPermission('appointment:manage')) {
+    if (agent) query.agent = agent;
+  } else {
+    query.$or = [{ agent: req.user._id }, { requester: req.user._id }];
+  }
+
+  if (status) query.status = status;
+  if (from || to) {
+    query.startTime = {};
+    if (from) query.startTime.$gte = new Date(from);
+    if (to) query.startTime.$lte = new Date(to);
+  }
+
+  // Pagination
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const appointments = await Appointment.find(query)
+    .populate('property', 'name location image')
+    .populate(Property.agentCardPopulate())
+    .sort('startTime')
+    .skip(skip)
+    .limit(limitNum)
+    .select('-__v');
+
+  const totalItems = await Appointment.countDocuments(query);
+  const totalPages = Math.ceil(totalItems / limitNum);
+
+  const pagination = {
+    currentPage: pageNum,
+    totalPages,
+    totalItems,
+    itemsPerPage: limitNum,
+    hasNextPage: pageNum < totalPages,
+    hasPreviousPage: pageNum > 1
+  };
+
+  res.json({
+    success: true,
+    data: {
+      appointments,
+      pagination
+    },
+    message: 'Appointments retrieved successfully'
+  });
+});
+
+// @desc    Get single appointment
+// @route   GET /api/v1/appointments/:id
+// @access  Private (participants and appointment:manage)
+const getAppointment = asyncHandler(async (req, res) => {
+  const appointment = await Appointment.findById(req.params.id).select('-__v');
+
+  if (!appointment || !appointment.isVisibleTo(req.user)) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'NOT_FOUND',
+        message: 'Appointment not found'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  await appointment.populate([
+    { path: 'property', select: 'name location image address' },
+    Property.agentCardPopulate()
+  ]);
+
+  res.json({
+    success: true,
+    data: appointment,
+    message: 'Appointment retrieved successfully'
+  });
+});
+
+// @desc    Change appointment status
+// @route   POST /api/v1/appointments/:id/status
+// @access  Private (agent or appointment:manage; requesters may only cancel)
+const updateAppointmentStatus = asyncHandler(async (req, res) => {
+  const { status, reason } = req.body;
+
+  const appointment = await Appointment.findById(req.params.id);
+
+  if (!appointment || !appointment.isVisibleTo(req.user)) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'NOT_FOUND',
+        message: 'Appointment not found'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (status !== 'cancelled' && !appointment.isManagedBy(req.user)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'FORBIDDEN',
+        message: 'Only the agent can confirm or close an appointment'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (!appointment.canTransitionTo(status)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_STATUS_TRANSITION',
+        message: `Cannot change appointment status from ${appointment.status} to ${status}`
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (['completed', 'no-show'].includes(status) && appointment.startTime > new Date()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: `An appointment cannot be marked ${status} before it starts`
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (status === 'confirmed') {
+    const conflicts = await Appointment.findConflicts(
+      appointment.agent,
+      appointment.startTime,
+      appointment.endTime,
+      appointment._id
+    );
+    if (conflicts.some(conflict => conflict.status === 'confirmed')) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'SLOT_UNAVAILABLE',
+          message: 'The agent already has a confirmed appointment at this time'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  const previous = appointment.toObject();
+
+  await appointment.transitionTo(status, req.user._id, reason);
+
+  AuditLog.record(req, { action: 'status-change', entity: 'appointment', entityId: appointment._id, before: previous, after: appointment });
+
+  res.json({
+    success: true,
+    data: {
+      id: appointment._id,
+      status: appointment.status,
+      statusHistory: appointment.statusHistory,
+      updatedAt: appointment.updatedAt
+    },
+    message: `Appointment ${status}`
+  });
+});
+
+// @desc    Convert a viewing-request contact into an appointment
+// @route   POST /api/v1/contact/:id/appointment
+// @access  Private (appointment:schedule; own listings unless property:update:any)
+const createAppointmentFromContact = asyncHandler(async (req, res) => {
+  const { startTime, notes } = req.body;
+
+  const contact = await Contact.findById(req.params.id);
+
+  if (!contact) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'NOT_FOUND',
+        message: 'Contact not found'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (!contact.tags.includes('viewing-request')) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Contact is not a viewing request'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (contact.appointment) {
+    return res.status(409).json({
+      success: false,
+      error: {
+        code: 'DUPLICATE_FIELD',
+        message: 'Contact has already been converted to an appointment'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const property = contact.propertyId ? await Property.findById(contact.propertyId) : null;
+  if (!property) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Contact is not linked to an existing property'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (!property.canBeManagedBy(req.user)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'FORBIDDEN',
+        message: 'You can only schedule viewings for your own listings'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const agent = await findPropertyAgent(property);
+  if (!agent) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'This property has no agent to schedule a viewing with'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const start = new Date(startTime);
+  const slot = await checkSlot(agent, start);
+  if (slot.error) {
+    return res.status(slot.error.statusCode).json({
+      success: false,
+      error: {
+        code: slot.error.code,
+        message: slot.error.message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const requester = await User.findOne({ email: contact.email, isActive: true });
+
+  // The agent arranges the time with the contact directly, so it starts confirmed
+  const appointment = await createInSlot({
+    property: property._id,
+    agent: agent._id,
+    requester: requester ? requester._id : undefined,
+    requesterName: contact.name,
+    requesterEmail: contact.email,
+    requesterPhone: contact.phone,
+    contact: contact._id,
+    startTime: start,
+    endTime: slot.endTime,
+    status: 'confirmed',
+    statusHistory: [{
+      status: 'confirmed',
+      changedBy: req.user._id,
+      reason: 'Converted from contact request'
+    }],
+    notes
+  });
+
+  if (!appointment) {
+    return res.status(409).json({
+      success: false,
+      error: {
+        code: 'SLOT_UNAVAILABLE',
+        message: 'The requested time slot is no longer available'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  AuditLog.record(req, { action: 'create', entity: 'appointment', entityId: appointment._id, after: appointment });
+
+  const previousContact = contact.toObject();
+
+  contact.appointment = appointment._id;
+  if (contact.status === 'pending') {
+    contact.status = 'contacted';
+    contact.responseDate = new Date();
+  }
+  await contact.save();
+
+  AuditLog.record(req, {
+    action: 'convert-to-appointment',
+    entity: 'contact',
+    entityId: contact._id,
+    before: previousContact,
+    after: contact
+  });
+
+  res.status(201).json({
+    success: true,
+    data: appointment,
+    message: 'Contact converted to appointment successfully'
+  });
+});
+
+module.exports = {
+  requestAppointment,
+  getAppointments,
+  getAppointment,
+  updateAppointmentStatus,
+  createAppointmentFromContact
+};
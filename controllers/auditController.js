@@ -0,0 +1,90 @@
+const AuditLog = require('../models/AuditLog');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const CSV_COLUMNS = ['timestamp', 'actorId', 'actorEmail', 'action', 'entity', 'entityId', 'ip', 'changes'];
+
+// Quote a CSV cell, and keep spreadsheet apps from running it as a formula
+const toCsvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (entry) => [
+  entry.createdAt.toISOString(),
+  entry.actor,
+  entry.actorEmail,
+  entry.action,
+  entry.entity,
+  entry.entityId,
+  entry.ip,
+  JSON.stringify(entry.changes)
+].map(toCsvCell).join(',');
+
+// @desc    Get audit log entries (JSON, or CSV with format=csv)
+// @route   GET /api/v1/admin/audit
+// @access  Private (audit:read)
+const getAuditLogs = asyncHandler(async (req, res) => {
+  const { format, page = 1, limit = 50 } = req.query;
+
+  const query = AuditLog.buildQuery(req.query);
+
+  // CSV exports every matching entry, streamed oldest first
+  if (format === 'csv') {
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.write(`${CSV_COLUMNS.join(',')}\n`);
+
+    // Headers are sent by now, so a failure can't become an error response:
+    // cut the download off instead so it doesn't look complete
+    try {
+      for await (const entry of AuditLog.find(query).sort('createdAt').lean().cursor()) {
+        res.write(`${toCsvRow(entry)}\n`);
+      }
+    } catch (error) {
+      console.error('Error exporting audit log:', error);
+      return res.destroy(error);
+    }
+
+    return res.end();
+  }
+
+  // Pagination
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const entries = await AuditLog.find(query)
+    .populate('actor', 'name email role')
+    .sort('-createdAt')
+    .skip(skip)
+    .limit(limitNum)
+    .select('-__v');
+
+  const totalItems = await AuditLog.countDocuments(query);
+  const totalPages = Math.ceil(totalItems / limitNum);
+
+  const pagination = {
+    currentPage: pageNum,
+    totalPages,
+    totalItems,
+    itemsPerPage: limitNum,
+    hasNextPage: pageNum < totalPages,
+    hasPreviousPage: pageNum > 1
+  };
+
+  res.json({
+    success: true,
+    data: {
+      entries,
+      pagination
+    },
+    message: 'Audit log retrieved successfully'
+  });
+});
+
+module.exports = {
+  getAuditLogs
+};
@@ -1,6 +1,35 @@
+const crypto = require('crypto');
 const User = require('../models/User');
-const { generateToken } = require('../middleware/auth');
+const Session = require('../models/Session');
+const Role = require('../models/Role');
+const AuditLog = require('../models/AuditLog');
+const {
+  generateToken,
+  issueTokens,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  isTwoFactorSetupRequired
+} = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { sendMail, buildClientUrl } = require('../utils/mailer');
+const { cursorMode, withCursor, cursorPage, pagePagination } = require('../utils/pagination');
+const { USER_SORTS, toSortOrder } = require('../utils/sort');
+
+// Minimum time between two password reset emails for the same account
+const RESET_REQUEST_THROTTLE_MS = 60 * 1000;
+
+// Minimum time between two verification emails for the same account
+const VERIFICATION_RESEND_INTERVAL_MS = 60 * 1000;
+
+// Email a verification link to a user
+const sendVerificationEmail = (user, token) => sendMail('email-verification', {
+  to: user.email,
+  user: user._id,
+  data: {
+    name: user.name,
+    verifyUrl: buildClientUrl('/verify-email', { token })
+  }
+});
 
 // @desc    Register user
 // @route   POST /api/v1/auth/register
@@ -25,16 +54,21 @@ const register = asyncHandler(async (req, res) => {
     });
   }
 
-  // Create user
-  const user = await User.create({
+  // Create user with a pending email verification
+  const user = new User({
     name,
     email,
     password,
     phone
   });
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save();
+
+  sendVerificationEmail(user, verificationToken)
+    .catch(err => console.error('Error sending verification email:', err));
 
-  // Generate token
-  const token = generateToken(user._id);
+  // Start a session
+  const tokens = await issueTokens(user, req);
 
   res.status(201).json({
     success: true,
@@ -49,12 +83,37 @@ const register = asyncHandler(async (req, res) => {
         emailVerified: user.emailVerified,
         createdAt: user.createdAt
       },
-      token
+      ...tokens
     },
-    message: 'User registered successfully'
+    message: 'User registered successfully. Please check your email to verify your address.'
   });
 });
 
+// Start a session for a user who passed every login step and send the tokens
+const sendLoginSuccess = async (req, res, user) => {
+  const tokens = await issueTokens(user, req);
+
+  res.json({
+    success: true,
+    data: {
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        phone: user.phone,
+        isActive: user.isActive,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: user.twoFactor.enabled,
+        lastLogin: user.lastLogin
+      },
+      twoFactorSetupRequired: await isTwoFactorSetupRequired(user),
+      ...tokens
+    },
+    message: 'Login successful'
+  });
+};
+
 // @desc    Login user
 // @route   POST /api/v1/auth/login
 // @access  Public
@@ -65,26 +124,19 @@ const login = asyncHandler(async (req, res) => {
     // Find user by credentials
     const user = await User.findByCredentials(email, password);
 
-    // Generate token
-    const token = generateToken(user._id);
-
-    res.json({
-      success: true,
-      data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          phone: user.phone,
-          isActive: user.isActive,
-          emailVerified: user.emailVerified,
-          lastLogin: user.lastLogin
+    // With 2FA enabled, the client must send a code along with this challenge
+    if (user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallenge(user._id)
         },
-        token
-      },
-      message: 'Login successful'
-    });
+        message: 'Enter the code from your authenticator app to complete login'
+      });
+    }
+
+    await sendLoginSuccess(req, res, user);
   } catch (error) {
     res.status(401).json({
       success: false,
@@ -97,6 +149,53 @@ const login = asyncHandler(async (req, res) => {
   }
 });
 
+// @desc    Complete a login with a two-factor code
+// @route   POST /api/v1/auth/2fa/verify
+// @access  Public
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  const unauthorized = (message) => res.status(401).json({
+    success: false,
+    error: {
+      code: 'UNAUTHORIZED',
+      message
+    },
+    timestamp: new Date().toISOString()
+  });
+
+  let decoded;
+  try {
+    decoded = verifyTwoFactorChallenge(challengeToken);
+  } catch (error) {
+    return unauthorized('Login challenge is invalid or has expired, please log in again');
+  }
+
+  const user = await User.findOne({ _id: decoded.userId, isActive: true })
+    .select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+
+  if (!user || !user.twoFactor.enabled) {
+    return unauthorized('Login challenge is invalid or has expired, please log in again');
+  }
+
+  if (user.isLocked) {
+    return unauthorized('Account is temporarily locked due to too many failed login attempts');
+  }
+
+  if (!user.verifyTwoFactorCode(code)) {
+    await user.incLoginAttempts();
+    return unauthorized('Invalid authentication code');
+  }
+
+  // Consume the code and complete the login
+  user.loginAttempts = 0;
+  user.lockUntil = undefined;
+  user.lastLogin = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  await sendLoginSuccess(req, res, user);
+});
+
 // @desc    Get current user profile
 // @route   GET /api/v1/auth/me
 // @access  Private
@@ -115,6 +214,7 @@ const getMe = asyncHandler(async (req, res) => {
         avatar: user.avatar,
         isActive: user.isActive,
         emailVerified: user.emailVerified,
+        twoFactorEnabled: user.twoFactor.enabled,
         lastLogin: user.lastLogin,
         preferences: user.preferences,
         createdAt: user.createdAt,
@@ -186,28 +286,304 @@ const changePassword = asyncHandler(async (req, res) => {
     });
   }
 
-  // Update password
+  // Update password and sign out every session, then start a new one for this device
   user.password = newPassword;
   await user.save();
+  await Session.revokeAllForUser(user._id, 'password-change');
+
+  const tokens = await issueTokens(user, req);
 
   res.json({
     success: true,
-    data: null,
+    data: tokens,
     message: 'Password changed successfully'
   });
 });
 
-// @desc    Create admin user (Development only)
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @route   POST /api/v1/auth/refresh
+// @access  Public
+const refreshSession = asyncHandler(async (req, res) => {
+  const { session, reused } = await Session.findByRefreshToken(req.body.refreshToken);
+
+  if (!session) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: 'UNAUTHORIZED',
+        message: 'Refresh token is invalid or has expired'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // A rotated token was presented again: it may have been stolen, so end the session
+  if (reused) {
+    if (!session.revokedAt) {
+      await session.revoke('token-reuse');
+    }
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: 'UNAUTHORIZED',
+        message: 'Refresh token has already been used; the session was revoked'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (!session.isActive()) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: 'UNAUTHORIZED',
+        message: 'Refresh token is invalid or has expired'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || !user.isActive) {
+    await session.revoke('user-inactive');
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: 'UNAUTHORIZED',
+        message: 'Refresh token is invalid or has expired'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const rotated = await Session.rotate(session, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  if (!rotated) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: 'UNAUTHORIZED',
+        message: 'Refresh token is invalid or has expired'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      token: generateToken(user._id, rotated.session._id),
+      refreshToken: rotated.refreshToken
+    },
+    message: 'Token refreshed successfully'
+  });
+});
+
+// @desc    Log out of the current session
+// @route   POST /api/v1/auth/logout
+// @access  Private
+const logout = asyncHandler(async (req, res) => {
+  await req.session.revoke('logout');
+
+  res.json({
+    success: true,
+    data: null,
+    message: 'Logged out successfully'
+  });
+});
+
+// @desc    Log out of every session
+// @route   POST /api/v1/auth/logout-all
+// @access  Private
+const logoutAll = asyncHandler(async (req, res) => {
+  const result = await Session.revokeAllForUser(req.user._id, 'logout-all');
+
+  res.json({
+    success: true,
+    data: {
+      revokedSessions: result.modifiedCount
+    },
+    message: 'Logged out of all sessions successfully'
+  });
+});
+
+// @desc    Get active sessions of the current user
+// @route   GET /api/v1/auth/sessions
+// @access  Private
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.findActiveForUser(req.user._id);
+
+  res.json({
+    success: true,
+    data: {
+      sessions: sessions.map(session => session.toSummary(req.session._id))
+    },
+    message: 'Sessions retrieved successfully'
+  });
+});
+
+// @desc    Request a password reset email
+// @route   POST /api/v1/auth/forgot-password
+// @access  Public
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const user = await User.findOne({ email, isActive: true });
+
+  // Issue and email a token in the background so the response doesn't reveal
+  // (by content or timing) whether the account exists
+  if (user && !user.hasRecentResetRequest(RESET_REQUEST_THROTTLE_MS)) {
+    const token = user.createPasswordResetToken();
+    user.save({ validateBeforeSave: false })
+      .then(() => sendMail('password-reset', {
+        to: user.email,
+        user: user._id,
+        data: {
+          name: user.name,
+          resetUrl: buildClientUrl('/reset-password', { token }),
+          expiresInMinutes: User.getPasswordResetTtlMinutes()
+        }
+      }))
+      .catch(err => console.error('Error sending password reset email:', err));
+  }
+
+  res.json({
+    success: true,
+    data: null,
+    message: 'If an account exists for this email, a password reset link has been sent'
+  });
+});
+
+// @desc    Reset password with a reset token
+// @route   POST /api/v1/auth/reset-password
+// @access  Public
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  const user = await User.findOne({
+    resetPasswordToken: User.hashToken(token),
+    resetPasswordExpires: { $gt: new Date() },
+    isActive: true
+  });
+
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_TOKEN',
+        message: 'Password reset token is invalid or has expired'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Set the new password, consume the token and clear any lockout.
+  // Existing sessions are signed out.
+  user.password = password;
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpires = undefined;
+  user.loginAttempts = 0;
+  user.lockUntil = undefined;
+  await user.save();
+  await Session.revokeAllForUser(user._id, 'password-change');
+
+  res.json({
+    success: true,
+    data: null,
+    message: 'Password has been reset successfully. Please log in with your new password.'
+  });
+});
+
+// @desc    Verify email address with a verification token
+// @route   GET /api/v1/auth/verify-email
+// @access  Public
+const verifyEmail = asyncHandler(async (req, res) => {
+  const user = await User.findOne({
+    emailVerificationToken: User.hashToken(req.query.token),
+    emailVerificationExpires: { $gt: new Date() }
+  });
+
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_TOKEN',
+        message: 'Email verification token is invalid or has expired'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  await user.markEmailVerified();
+
+  res.json({
+    success: true,
+    data: {
+      email: user.email,
+      emailVerified: true
+    },
+    message: 'Email verified successfully'
+  });
+});
+
+// @desc    Resend the email verification link
+// @route   POST /api/v1/auth/verify-email/resend
+// @access  Private
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.emailVerified) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'ALREADY_VERIFIED',
+        message: 'Email address is already verified'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const sentAt = user.emailVerificationSentAt ? user.emailVerificationSentAt.getTime() : 0;
+  const retryAfterMs = sentAt + VERIFICATION_RESEND_INTERVAL_MS - Date.now();
+  if (retryAfterMs > 0) {
+    res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    return res.status(429).json({
+      success: false,
+      error: {
+        code: 'RATE_LIMIT_EXCEEDED',
+        message: 'A verification email was sent recently, please try again later'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const token = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+  await sendVerificationEmail(user, token);
+
+  res.json({
+    success: true,
+    data: null,
+    message: 'Verification email sent'
+  });
+});
+
+// @desc    Create the first admin user with the one-time setup token
 // @route   POST /api/v1/auth/create-admin
-// @access  Public (Development only)
+// @access  Public (setup token, not available in production)
 const createAdmin = asyncHandler(async (req, res) => {
-  // Only allow in development
-  if (process.env.NODE_ENV === 'production') {
+  const setupToken = process.env.ADMIN_SETUP_TOKEN;
+
+  // Production admins are created with `npm run create-admin` or invites
+  if (process.env.NODE_ENV === 'production' || !setupToken) {
     return res.status(403).json({
       success: false,
       error: {
         code: 'FORBIDDEN',
-        message: 'Admin creation not allowed in production'
+        message: 'Admin setup is disabled'
       },
       timestamp: new Date().toISOString()
     });
@@ -215,9 +591,33 @@ const createAdmin = asyncHandler(async (req, res) => {
 
   const { name, email, password } = req.body;
 
+  const provided = User.hashToken(req.body.setupToken);
+  if (!crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(User.hashToken(setupToken)))) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: 'UNAUTHORIZED',
+        message: 'Invalid setup token'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // The setup token only bootstraps the first admin; later admins are invited
+  if (await User.exists({ role: 'admin' })) {
+    return res.status(409).json({
+      success: false,
+      error: {
+        code: 'SETUP_COMPLETED',
+        message: 'An admin already exists; use an invite to add more admins'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
   try {
     const admin = await User.createAdmin(email, password, name);
-    const token = generateToken(admin._id);
+    const tokens = await issueTokens(admin, req);
 
     res.status(201).json({
       success: true,
@@ -231,7 +631,7 @@ const createAdmin = asyncHandler(async (req, res) => {
           emailVerified: admin.emailVerified,
           createdAt: admin.createdAt
         },
-        token
+        ...tokens
       },
       message: 'Admin user created successfully'
     });
@@ -247,9 +647,9 @@ const createAdmin = asyncHandler(async (req, res) => {
   }
 });
 
-// @desc    Get all users (Admin only)
+// @desc    Get all users
 // @route   GET /api/v1/auth/users
-// @access  Private (Admin)
+// @access  Private (user:manage)
 const getUsers = asyncHandler(async (req, res) => {
   const { role, isActive, page = 1, limit = 20 } = req.query;
 
@@ -258,28 +658,33 @@ const getUsers = asyncHandler(async (req, res) => {
   if (role) query.role = role;
   if (isActive !== undefined) query.isActive = isActive === 'true';
 
-  // Pagination
+  // Pagination (page-based, or after a cursor when `cursor` is given)
   const pageNum = parseInt(page);
   const limitNum = parseInt(limit);
   const skip = (pageNum - 1) * limitNum;
-
-  const users = await User.find(query)
-    .sort('-createdAt')
-    .skip(skip)
-    .limit(limitNum)
-    .select('-password -resetPasswordToken -resetPasswordExpires -emailVerificationToken');
-
-  const totalItems = await User.countDocuments(query);
-  const totalPages = Math.ceil(totalItems / limitNum);
-
-  const pagination = {
-    currentPage: pageNum,
-    totalPages,
-    totalItems,
-    itemsPerPage: limitNum,
-    hasNextPage: pageNum < totalPages,
-    hasPreviousPage: pageNum > 1
-  };
+  const cursor = cursorMode(req.query.cursor, USER_SORTS.newest);
+  const select = '-password -resetPasswordToken -resetPasswordExpires -emailVerificationToken';
+
+  let users;
+  let pagination;
+
+  if (cursor) {
+    const results = await User.find(withCursor(query, cursor.after))
+      .sort(toSortOrder(cursor.sort))
+      .limit(limitNum + 1)
+      .select(select);
+
+    ({ items: users, pagination } = cursorPage(results, limitNum, cursor.sort));
+  } else {
+    users = await User.find(query)
+      .sort(toSortOrder(USER_SORTS.newest))
+      .skip(skip)
+      .limit(limitNum)
+      .select(select);
+
+    const totalItems = await User.countDocuments(query);
+    pagination = pagePagination(pageNum, limitNum, totalItems);
+  }
 
   res.json({
     success: true,
@@ -291,18 +696,32 @@ const getUsers = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Update user role (Admin only)
+// @desc    Update user role
 // @route   PUT /api/v1/auth/users/:id/role
-// @access  Private (Admin)
+// @access  Private (user:manage)
 const updateUserRole = asyncHandler(async (req, res) => {
   const { role } = req.body;
 
-  if (!['user', 'agent', 'admin'].includes(role)) {
-    return res.status(400).json({
+  const existing = await User.findById(req.params.id);
+
+  if (!existing) {
+    return res.status(404).json({
       success: false,
       error: {
-        code: 'VALIDATION_ERROR',
-        message: 'Invalid role. Must be user, agent, or admin'
+        code: 'NOT_FOUND',
+        message: 'User not found'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Users can't hand out (or take away) more access than they have themselves
+  if (!(await Role.isGrantableBy(role, req.user)) || !(await Role.isGrantableBy(existing.role, req.user))) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'FORBIDDEN',
+        message: 'You cannot assign a role with permissions you do not have'
       },
       timestamp: new Date().toISOString()
     });
@@ -325,6 +744,8 @@ const updateUserRole = asyncHandler(async (req, res) => {
     });
   }
 
+  AuditLog.record(req, { action: 'update-role', entity: 'user', entityId: user._id, before: existing, after: user });
+
   res.json({
     success: true,
     data: {
@@ -343,9 +764,18 @@ const updateUserRole = asyncHandler(async (req, res) => {
 module.exports = {
   register,
   login,
+  verifyTwoFactorLogin,
   getMe,
   updateProfile,
   changePassword,
+  refreshSession,
+  logout,
+  logoutAll,
+  getSessions,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
   createAdmin,
   getUsers,
   updateUserRole
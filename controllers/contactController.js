@@ -1,6 +1,58 @@
 const Contact = require('../models/Contact');
 const Property = require('../models/Property');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { sendMail } = require('../utils/mailer');
+const { cursorMode, withCursor, cursorPage, pagePagination } = require('../utils/pagination');
+const { CONTACT_SORTS, resolveSort, toSortOrder } = require('../utils/sort');
+
+// Populate the inquired-about property, including deleted listings so the
+// inquiry history stays readable
+const inquiredPropertyPopulate = (select) => ({
+  path: 'propertyId',
+  select: `${select} deletedAt`,
+  options: { withDeleted: true }
+});
+
+// Email addresses that receive new lead notifications
+const getLeadRecipients = async () => {
+  if (process.env.ADMIN_NOTIFICATION_EMAIL) {
+    return process.env.ADMIN_NOTIFICATION_EMAIL.split(',').map(email => email.trim()).filter(Boolean);
+  }
+  const admins = await User.find({ role: 'admin', isActive: true }).select('email');
+  return admins.map(admin => admin.email);
+};
+
+// Acknowledge a contact submission and notify admins about the new lead
+const sendContactEmails = async (contact) => {
+  await sendMail('contact-acknowledgement', {
+    to: contact.email,
+    data: {
+      contactId: contact._id,
+      name: contact.name,
+      subject: contact.subject,
+      propertyName: contact.propertyName
+    }
+  });
+
+  const recipients = await getLeadRecipients();
+  for (const to of recipients) {
+    await sendMail('admin-new-lead', {
+      to,
+      data: {
+        contactId: contact._id,
+        name: contact.name,
+        email: contact.email,
+        phone: contact.phone,
+        subject: contact.subject,
+        message: contact.message,
+        propertyName: contact.propertyName,
+        priority: contact.priority
+      }
+    });
+  }
+};
 
 // @desc    Submit contact form
 // @route   POST /api/v1/contact
@@ -50,6 +102,9 @@ const submitContact = asyncHandler(async (req, res) => {
   // Create contact record
   const contact = await Contact.create(contactData);
 
+  // Send acknowledgement and lead notification emails (don't block the response)
+  sendContactEmails(contact).catch(err => console.error('Error sending contact emails:', err));
+
   // Return response (excluding sensitive data)
   res.status(201).json({
     success: true,
@@ -65,16 +120,16 @@ const submitContact = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Get all contacts (Admin only)
+// @desc    Get all contacts
 // @route   GET /api/v1/contact
-// @access  Private (Admin)
+// @access  Private (contact:read; includeDeleted=true requires contact:delete)
 const getContacts = asyncHandler(async (req, res) => {
   const {
     status,
     priority,
     page = 1,
     limit = 20,
-    sort = '-createdAt',
+    sort = 'newest',
     search
   } = req.query;
 
@@ -94,32 +149,39 @@ const getContacts = asyncHandler(async (req, res) => {
     ];
   }
 
-  // Pagination
+  // Pagination (page-based, or after a cursor when `cursor` is given)
   const pageNum = parseInt(page);
   const limitNum = parseInt(limit);
   const skip = (pageNum - 1) * limitNum;
-
-  // Execute query
-  const contacts = await Contact.find(query)
-    .populate('propertyId', 'name location price')
-    .sort(sort)
-    .skip(skip)
-    .limit(limitNum)
-    .select('-__v -ipAddress -userAgent');
-
-  // Get total count
-  const totalItems = await Contact.countDocuments(query);
-  const totalPages = Math.ceil(totalItems / limitNum);
-
-  // Pagination info
-  const pagination = {
-    currentPage: pageNum,
-    totalPages,
-    totalItems,
-    itemsPerPage: limitNum,
-    hasNextPage: pageNum < totalPages,
-    hasPreviousPage: pageNum > 1
-  };
+  const order = resolveSort(CONTACT_SORTS, sort);
+  const cursor = cursorMode(req.query.cursor, order);
+
+  let contacts;
+  let pagination;
+
+  if (cursor) {
+    const results = await Contact.find(withCursor(query, cursor.after))
+      .setOptions({ withDeleted: req.includeDeleted })
+      .populate(inquiredPropertyPopulate('name location price'))
+      .sort(toSortOrder(cursor.sort))
+      .limit(limitNum + 1)
+      .select('-__v -ipAddress -userAgent');
+
+    ({ items: contacts, pagination } = cursorPage(results, limitNum, cursor.sort));
+  } else {
+    // Execute query
+    contacts = await Contact.find(query)
+      .setOptions({ withDeleted: req.includeDeleted })
+      .populate(inquiredPropertyPopulate('name location price'))
+      .sort(toSortOrder(order))
+      .skip(skip)
+      .limit(limitNum)
+      .select('-__v -ipAddress -userAgent');
+
+    // Get total count
+    const totalItems = await Contact.countDocuments(query).setOptions({ withDeleted: req.includeDeleted });
+    pagination = pagePagination(pageNum, limitNum, totalItems);
+  }
 
   res.json({
     success: true,
@@ -131,12 +193,12 @@ const getContacts = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Get single contact (Admin only)
+// @desc    Get single contact
 // @route   GET /api/v1/contact/:id
-// @access  Private (Admin)
+// @access  Private (contact:read)
 const getContact = asyncHandler(async (req, res) => {
   const contact = await Contact.findById(req.params.id)
-    .populate('propertyId', 'name location price image')
+    .populate(inquiredPropertyPopulate('name location price image'))
     .select('-__v');
 
   if (!contact) {
@@ -157,9 +219,9 @@ const getContact = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Update contact status (Admin only)
+// @desc    Update contact status
 // @route   PUT /api/v1/contact/:id
-// @access  Private (Admin)
+// @access  Private (contact:update)
 const updateContact = asyncHandler(async (req, res) => {
   const { status, notes, assignedTo, priority } = req.body;
 
@@ -176,6 +238,17 @@ const updateContact = asyncHandler(async (req, res) => {
     });
   }
 
+  if (assignedTo && !req.user.hasPermission('contact:assign')) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'FORBIDDEN',
+        message: 'Insufficient permissions to assign contacts'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
   // Update fields
   const updateData = {};
   if (status) updateData.status = status;
@@ -188,12 +261,16 @@ const updateContact = asyncHandler(async (req, res) => {
     updateData.responseDate = new Date();
   }
 
+  const previous = contact;
+
   contact = await Contact.findByIdAndUpdate(
     req.params.id,
     updateData,
     { new: true, runValidators: true }
   ).select('-__v -ipAddress -userAgent');
 
+  AuditLog.record(req, { action: 'update', entity: 'contact', entityId: contact._id, before: previous, after: contact });
+
   res.json({
     success: true,
     data: contact,
@@ -201,9 +278,9 @@ const updateContact = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Delete contact (Admin only)
+// @desc    Delete contact (soft delete; purged after the retention period)
 // @route   DELETE /api/v1/contact/:id
-// @access  Private (Admin)
+// @access  Private (contact:delete)
 const deleteContact = asyncHandler(async (req, res) => {
   const contact = await Contact.findById(req.params.id);
 
@@ -218,7 +295,10 @@ const deleteContact = asyncHandler(async (req, res) => {
     });
   }
 
-  await Contact.findByIdAndDelete(req.params.id);
+  const previous = contact.toObject();
+  await contact.softDelete(req.user._id);
+
+  AuditLog.record(req, { action: 'delete', entity: 'contact', entityId: contact._id, before: previous, after: contact });
 
   res.json({
     success: true,
@@ -227,9 +307,38 @@ const deleteContact = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Get contact statistics (Admin only)
+// @desc    Restore a deleted contact
+// @route   POST /api/v1/contact/:id/restore
+// @access  Private (contact:delete)
+const restoreContact = asyncHandler(async (req, res) => {
+  const contact = await Contact.findDeletedById(req.params.id);
+
+  if (!contact) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'NOT_FOUND',
+        message: 'Deleted contact not found'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const previous = contact.toObject();
+  await contact.restore();
+
+  AuditLog.record(req, { action: 'restore', entity: 'contact', entityId: contact._id, before: previous, after: contact });
+
+  res.json({
+    success: true,
+    data: contact,
+    message: 'Contact restored successfully'
+  });
+});
+
+// @desc    Get contact statistics
 // @route   GET /api/v1/contact/stats
-// @access  Private (Admin)
+// @access  Private (contact:read)
 const getContactStats = asyncHandler(async (req, res) => {
   const stats = await Contact.getStats();
 
@@ -286,9 +395,9 @@ const getContactStats = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Mark contact as contacted (Admin only)
+// @desc    Mark contact as contacted
 // @route   POST /api/v1/contact/:id/contacted
-// @access  Private (Admin)
+// @access  Private (contact:update)
 const markAsContacted = asyncHandler(async (req, res) => {
   const { notes } = req.body;
 
@@ -305,8 +414,12 @@ const markAsContacted = asyncHandler(async (req, res) => {
     });
   }
 
+  const previous = contact.toObject();
+
   await contact.markAsContacted(notes);
 
+  AuditLog.record(req, { action: 'mark-contacted', entity: 'contact', entityId: contact._id, before: previous, after: contact });
+
   res.json({
     success: true,
     data: {
@@ -325,6 +438,7 @@ module.exports = {
   getContact,
   updateContact,
   deleteContact,
+  restoreContact,
   getContactStats,
   markAsContacted
 };
\ No newline at end of file
@@ -0,0 +1,56 @@
+const Property = require('../models/Property');
+const AuditLog = require('../models/AuditLog');
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  BASE_CURRENCY,
+  EXCHANGE_RATES_KEY,
+  getExchangeRates,
+  setExchangeRates
+} = require('../utils/currency');
+
+// @desc    Get the exchange-rate table used for price conversion
+// @route   GET /api/v1/admin/exchange-rates
+// @access  Private (settings:manage)
+const getRates = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      base: BASE_CURRENCY,
+      rates: await getExchangeRates()
+    },
+    message: 'Exchange rates retrieved successfully'
+  });
+});
+
+// @desc    Replace the exchange-rate table (units of each currency per 1 USD)
+// @route   PUT /api/v1/admin/exchange-rates
+// @access  Private (settings:manage)
+const updateRates = asyncHandler(async (req, res) => {
+  const previousRates = await getExchangeRates();
+  const rates = await setExchangeRates(req.body.rates, req.user._id);
+
+  // Price filters and sorts compare listings at the new rates
+  await Property.updateBasePrices(rates);
+
+  AuditLog.record(req, {
+    action: 'update',
+    entity: 'setting',
+    entityId: EXCHANGE_RATES_KEY,
+    before: { value: previousRates },
+    after: { value: rates }
+  });
+
+  res.json({
+    success: true,
+    data: {
+      base: BASE_CURRENCY,
+      rates
+    },
+    message: 'Exchange rates updated successfully'
+  });
+});
+
+module.exports = {
+  getRates,
+  updateRates
+};
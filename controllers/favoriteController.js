@@ -0,0 +1,136 @@
+const Favorite = require('../models/Favorite');
+const Property = require('../models/Property');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// @desc    Get current user's favorite properties
+// @route   GET /api/v1/me/favorites
+// @access  Private
+const getFavorites = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10 } = req.query;
+
+  const query = { user: req.user._id };
+
+  // Pagination
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const favorites = await Favorite.find(query)
+    .populate('property', 'name location price priceFormatted image type category subcategory status features')
+    .sort('-createdAt')
+    .skip(skip)
+    .limit(limitNum);
+
+  const totalItems = await Favorite.countDocuments(query);
+  const totalPages = Math.ceil(totalItems / limitNum);
+
+  const pagination = {
+    currentPage: pageNum,
+    totalPages,
+    totalItems,
+    itemsPerPage: limitNum,
+    hasNextPage: pageNum < totalPages,
+    hasPreviousPage: pageNum > 1
+  };
+
+  res.json({
+    success: true,
+    data: {
+      favorites: favorites.map(favorite => {
+        const changes = favorite.getChanges();
+        return {
+          id: favorite._id,
+          property: favorite.property,
+          savedAt: favorite.createdAt,
+          priceAtSave: favorite.priceAtSave,
+          statusAtSave: favorite.statusAtSave,
+          hasChanges: changes.priceChanged || changes.statusChanged || changes.propertyRemoved,
+          changes
+        };
+      }),
+      pagination
+    },
+    message: 'Favorites retrieved successfully'
+  });
+});
+
+// @desc    Add property to favorites
+// @route   POST /api/v1/me/favorites/:propertyId
+// @access  Private
+const addFavorite = asyncHandler(async (req, res) => {
+  const property = await Property.findById(req.params.propertyId);
+
+  if (!property) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'NOT_FOUND',
+        message: 'Property not found'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const existing = await Favorite.findOne({ user: req.user._id, property: property._id });
+  if (existing) {
+    return res.json({
+      success: true,
+      data: {
+        id: existing._id,
+        property: property._id,
+        savedAt: existing.createdAt
+      },
+      message: 'Property is already in favorites'
+    });
+  }
+
+  const favorite = await Favorite.create({
+    user: req.user._id,
+    property: property._id,
+    priceAtSave: property.price,
+    statusAtSave: property.status
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      id: favorite._id,
+      property: property._id,
+      savedAt: favorite.createdAt
+    },
+    message: 'Property added to favorites'
+  });
+});
+
+// @desc    Remove property from favorites
+// @route   DELETE /api/v1/me/favorites/:propertyId
+// @access  Private
+const removeFavorite = asyncHandler(async (req, res) => {
+  const favorite = await Favorite.findOneAndDelete({
+    user: req.user._id,
+    property: req.params.propertyId
+  });
+
+  if (!favorite) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'NOT_FOUND',
+        message: 'Property is not in favorites'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.json({
+    success: true,
+    data: null,
+    message: 'Property removed from favorites'
+  });
+});
+
+module.exports = {
+  getFavorites,
+  addFavorite,
+  removeFavorite
+};
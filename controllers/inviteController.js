@@ -0,0 +1,216 @@
+const Invite = require('../models/Invite');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const AuditLog = require('../models/AuditLog');
+const { issueTokens } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { sendMail, buildClientUrl } = require('../utils/mailer');
+
+// @desc    Invite a new admin (or user of another role) by email
+// @route   POST /api/v1/auth/invites
+// @access  Private (user:manage)
+const createInvite = asyncHandler(async (req, res) => {
+  const { email, name, role = 'admin' } = req.body;
+
+  if (await User.exists({ email })) {
+    return res.status(409).json({
+      success: false,
+      error: {
+        code: 'DUPLICATE_FIELD',
+        message: 'A user with this email already exists'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (!(await Role.isGrantableBy(role, req.user))) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'FORBIDDEN',
+        message: 'You cannot invite users to a role with permissions you do not have'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const { invite, token } = await Invite.issue({
+    email,
+    name,
+    role,
+    invitedBy: req.user._id
+  });
+
+  AuditLog.record(req, { action: 'create', entity: 'invite', entityId: invite._id, after: invite });
+
+  sendMail('user-invite', {
+    to: invite.email,
+    data: {
+      name: invite.name,
+      inviterName: req.user.name,
+      role: invite.role,
+      acceptUrl: buildClientUrl('/accept-invite', { token }),
+      expiresInDays: Invite.getTtlDays()
+    }
+  }).catch(err => console.error('Error sending invite email:', err));
+
+  res.status(201).json({
+    success: true,
+    data: invite,
+    message: 'Invite sent successfully'
+  });
+});
+
+// @desc    Get invites
+// @route   GET /api/v1/auth/invites
+// @access  Private (user:manage)
+const getInvites = asyncHandler(async (req, res) => {
+  const { status, page = 1, limit = 20 } = req.query;
+
+  const query = Invite.statusQuery(status);
+
+  // Pagination
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const invites = await Invite.find(query)
+    .populate('invitedBy', 'name email')
+    .sort('-createdAt')
+    .skip(skip)
+    .limit(limitNum)
+    .select('-__v');
+
+  const totalItems = await Invite.countDocuments(query);
+  const totalPages = Math.ceil(totalItems / limitNum);
+
+  const pagination = {
+    currentPage: pageNum,
+    totalPages,
+    totalItems,
+    itemsPerPage: limitNum,
+    hasNextPage: pageNum < totalPages,
+    hasPreviousPage: pageNum > 1
+  };
+
+  res.json({
+    success: true,
+    data: {
+      invites,
+      pagination
+    },
+    message: 'Invites retrieved successfully'
+  });
+});
+
+// @desc    Revoke a pending invite
+// @route   DELETE /api/v1/auth/invites/:id
+// @access  Private (user:manage)
+const revokeInvite = asyncHandler(async (req, res) => {
+  const invite = await Invite.findById(req.params.id);
+
+  if (!invite) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'NOT_FOUND',
+        message: 'Invite not found'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (invite.status !== 'pending') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: `Invite is already ${invite.status}`
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const previous = invite.toObject();
+
+  invite.revokedAt = new Date();
+  await invite.save();
+
+  AuditLog.record(req, { action: 'revoke', entity: 'invite', entityId: invite._id, before: previous, after: invite });
+
+  res.json({
+    success: true,
+    data: invite,
+    message: 'Invite revoked successfully'
+  });
+});
+
+// @desc    Accept an invite and set a password
+// @route   POST /api/v1/auth/invites/accept
+// @access  Public
+const acceptInvite = asyncHandler(async (req, res) => {
+  const { token, name, password } = req.body;
+
+  const invite = await Invite.findPendingByToken(token);
+
+  if (!invite) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_TOKEN',
+        message: 'Invite is invalid or has expired'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (await User.exists({ email: invite.email })) {
+    return res.status(409).json({
+      success: false,
+      error: {
+        code: 'DUPLICATE_FIELD',
+        message: 'A user with this email already exists'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // The invite link was delivered to this address, so it counts as verified
+  const user = await User.create({
+    name: name || invite.name,
+    email: invite.email,
+    password,
+    role: invite.role,
+    emailVerified: true
+  });
+
+  invite.acceptedAt = new Date();
+  invite.acceptedBy = user._id;
+  await invite.save();
+
+  const tokens = await issueTokens(user, req);
+
+  res.status(201).json({
+    success: true,
+    data: {
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        isActive: user.isActive,
+        emailVerified: user.emailVerified,
+        createdAt: user.createdAt
+      },
+      ...tokens
+    },
+    message: 'Invite accepted successfully'
+  });
+});
+
+module.exports = {
+  createInvite,
+  getInvites,
+  revokeInvite,
+  acceptInvite
+};
@@ -1,9 +1,77 @@
 const Property = require('../models/Property');
+const Favorite = require('../models/Favorite');
+const SearchSuggestion = require('../models/SearchSuggestion');
+const AuditLog = require('../models/AuditLog');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { toGeoPoint, parseBoundingBox, boundingBoxFilter, metersToKm } = require('../utils/geo');
+const { matchSavedSearches } = require('../utils/savedSearchMatcher');
+const { localizePrice } = require('../utils/currency');
+const { cursorMode, withCursor, cursorPage, pagePagination } = require('../utils/pagination');
+const { PROPERTY_SORTS, LISTING_SORTS, SEARCH_SORTS, resolveSort, toSortOrder } = require('../utils/sort');
+const { tokenize, phrasesOf, escapeRegex } = require('../utils/textSearch');
+const { parseSearchQuery } = require('../utils/searchQuery');
+
+// Fields that are never taken from the request body
+const PROTECTED_FIELDS = [
+  'createdBy',
+  'views',
+  'gallery',
+  'previousPrice',
+  'priceChangedAt',
+  'priceReduced',
+  'priceHistory',
+  'basePrice',
+  'pricePerSqft',
+  'statusHistory',
+  'deletedAt',
+  'deletedBy'
+];
+
+// Fields that require property:update:any (agents always list as themselves)
+const ADMIN_ONLY_FIELDS = ['agent', 'featured'];
+
+// Fields left out of listing results (the histories have their own endpoints)
+const LIST_EXCLUDED_FIELDS = '-__v -priceHistory -statusHistory';
+
+// Added to the text score of listings in a city named in a search, so they
+// rank above listings that only mention it (text scores stay well below this)
+const CITY_MATCH_BOOST = 10;
+
+// Feature range filters: document path -> [min query param, max query param]
+const FEATURE_RANGE_FILTERS = {
+  'features.bedrooms': ['minBedrooms', 'maxBedrooms'],
+  'features.bathrooms': ['minBathrooms', 'maxBathrooms'],
+  'features.area': ['minArea', 'maxArea'],
+  'features.parkingSpaces': ['minParkingSpaces', 'maxParkingSpaces'],
+  'features.yearBuilt': ['minYearBuilt', 'maxYearBuilt']
+};
+
+// Split a comma-separated query value into trimmed items
+const toList = value => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+// Location filter: a word starting with the text in the location, city, neighborhood or name
+const locationFilter = (location) => {
+  const pattern = new RegExp(`(^|\\W)${escapeRegex(location.trim())}`, 'i');
+  return ['location', 'address.city', 'address.neighborhood', 'name'].map(field => ({ [field]: pattern }));
+};
+
+// Listing data with the price formatted (and optionally converted) for the request
+const presentProperty = (property, req) => ({
+  ...(typeof property.toJSON === 'function' ? property.toJSON() : property),
+  ...localizePrice(property, req.priceDisplay)
+});
+
+// Copy the request body without fields the current user may not set
+const sanitizePropertyInput = (body, user) => {
+  const blocked = user.hasPermission('property:update:any') ? PROTECTED_FIELDS : [...PROTECTED_FIELDS, ...ADMIN_ONLY_FIELDS];
+  const data = { ...body };
+  blocked.forEach(field => delete data[field]);
+  return data;
+};
 
 // @desc    Get all properties with filtering and pagination
 // @route   GET /api/v1/properties
-// @access  Public
+// @access  Public (includeDeleted=true requires property:delete)
 const getProperties = asyncHandler(async (req, res) => {
   const {
     type,
@@ -13,9 +81,23 @@ const getProperties = asyncHandler(async (req, res) => {
     maxPrice,
     page = 1,
     limit = 10,
-    sort = '-createdAt',
+    sort,
     featured,
-    status = 'Available'
+    priceReduced,
+    minRent,
+    maxRent,
+    furnished,
+    petsAllowed,
+    moveInDate,
+    subcategory,
+    amenities,
+    amenitiesMatch = 'all',
+    facets,
+    status = 'Available',
+    lat,
+    lng,
+    radiusKm,
+    bbox
   } = req.query;
 
   // Build query object
@@ -25,64 +107,169 @@ const getProperties = asyncHandler(async (req, res) => {
   if (type) query.type = type;
   if (category) query.category = category;
   if (featured !== undefined) query.featured = featured === 'true';
+  if (priceReduced !== undefined) query.priceReduced = priceReduced === 'true';
 
-  // Price range filter
+  // Price range filter (in BASE_CURRENCY, so listings in any currency compare)
   if (minPrice || maxPrice) {
-    query.price = {};
-    if (minPrice) query.price.$gte = parseFloat(minPrice);
-    if (maxPrice) query.price.$lte = parseFloat(maxPrice);
+    query.basePrice = {};
+    if (minPrice) query.basePrice.$gte = parseFloat(minPrice);
+    if (maxPrice) query.basePrice.$lte = parseFloat(maxPrice);
   }
 
-  // Location search (text search)
-  if (location) {
-    query.$or = [
-      { location: { $regex: location, $options: 'i' } },
-      { name: { $regex: location, $options: 'i' } },
-      { description: { $regex: location, $options: 'i' } }
-    ];
+  // Rental filters (only Lease Out listings have rental details)
+  if (minRent || maxRent) {
+    query['rental.monthlyRent'] = {};
+    if (minRent) query['rental.monthlyRent'].$gte = parseFloat(minRent);
+    if (maxRent) query['rental.monthlyRent'].$lte = parseFloat(maxRent);
   }
+  if (furnished) query['rental.furnished'] = furnished;
+  if (petsAllowed !== undefined) query['rental.petsAllowed'] = petsAllowed === 'true';
+  if (moveInDate) {
+    // Available by the move-in date, or available now if no date is set
+    query.type = 'Lease Out';
+    query['rental.availableFrom'] = { $not: { $gt: new Date(moveInDate) } };
+  }
+
+  // Feature filters
+  if (subcategory) query.subcategory = { $in: toList(subcategory) };
+  Object.entries(FEATURE_RANGE_FILTERS).forEach(([path, [minParam, maxParam]]) => {
+    const min = req.query[minParam];
+    const max = req.query[maxParam];
+    if (min === undefined && max === undefined) return;
+    query[path] = {};
+    if (min !== undefined) query[path].$gte = parseFloat(min);
+    if (max !== undefined) query[path].$lte = parseFloat(max);
+  });
 
-  // Pagination
+  // Amenities filter (every listed amenity by default, or any of them)
+  if (amenities) {
+    query.amenities = amenitiesMatch === 'any' ? { $in: toList(amenities) } : { $all: toList(amenities) };
+  }
+
+  // Location search
+  if (location) query.$or = locationFilter(location);
+
+  // Bounding box filter (minLng,minLat,maxLng,maxLat)
+  const boundingBox = bbox ? parseBoundingBox(bbox) : null;
+
+  // Pagination (page-based, or after a cursor when `cursor` is given)
   const pageNum = parseInt(page);
   const limitNum = parseInt(limit);
   const skip = (pageNum - 1) * limitNum;
 
-  // Execute query
-  const properties = await Property.find(query)
-    .sort(sort)
-    .skip(skip)
-    .limit(limitNum)
-    .select('-__v');
+  // Sort (nearest first for radius searches, otherwise newest first)
+  const isRadiusSearch = lat !== undefined && lng !== undefined;
+  const order = resolveSort(PROPERTY_SORTS, sort || (isRadiusSearch ? 'distance' : 'newest'));
+  const cursor = cursorMode(req.query.cursor, order);
+
+  let properties;
+  let pagination;
+  let filterStages;
+
+  if (isRadiusSearch) {
+    // Radius search - results include the distance from the given point
+    const geoNear = {
+      near: toGeoPoint(lat, lng),
+      distanceField: 'distance',
+      spherical: true,
+      query
+    };
+    if (radiusKm) geoNear.maxDistance = parseFloat(radiusKm) * 1000;
+
+    filterStages = [{ $geoNear: geoNear }];
+    if (boundingBox) filterStages.push({ $match: { geo: boundingBoxFilter(boundingBox) } });
+
+    const project = { $project: { __v: 0, priceHistory: 0, statusHistory: 0 } };
+    let items;
+
+    if (cursor) {
+      const pipeline = [
+        ...filterStages,
+        { $match: withCursor({}, cursor.after) },
+        { $sort: toSortOrder(cursor.sort) },
+        { $limit: limitNum + 1 },
+        project
+      ];
+      const results = await Property.aggregate(pipeline).option({ withDeleted: req.includeDeleted });
+      ({ items, pagination } = cursorPage(results, limitNum, cursor.sort));
+    } else {
+      const pipeline = [
+        ...filterStages,
+        {
+          $facet: {
+            items: [{ $sort: toSortOrder(order) }, { $skip: skip }, { $limit: limitNum }, project],
+            total: [{ $count: 'count' }]
+          }
+        }
+      ];
+      const [result] = await Property.aggregate(pipeline).option({ withDeleted: req.includeDeleted });
+      items = result.items;
+      pagination = pagePagination(pageNum, limitNum, result.total[0] ? result.total[0].count : 0);
+    }
 
-  // Get total count for pagination
-  const totalItems = await Property.countDocuments(query);
-  const totalPages = Math.ceil(totalItems / limitNum);
-
-  // Pagination info
-  const pagination = {
-    currentPage: pageNum,
-    totalPages,
-    totalItems,
-    itemsPerPage: limitNum,
-    hasNextPage: pageNum < totalPages,
-    hasPreviousPage: pageNum > 1
-  };
+    const documents = await Property.populate(
+      items.map(item => Property.hydrate(item)),
+      Property.agentCardPopulate()
+    );
+
+    properties = documents.map((document, index) => ({
+      ...presentProperty(document, req),
+      distanceKm: metersToKm(items[index].distance)
+    }));
+  } else {
+    if (boundingBox) query.geo = boundingBoxFilter(boundingBox);
+    filterStages = [{ $match: query }];
+
+    if (cursor) {
+      const documents = await Property.find(withCursor(query, cursor.after))
+        .setOptions({ withDeleted: req.includeDeleted })
+        .populate(Property.agentCardPopulate())
+        .sort(toSortOrder(cursor.sort))
+        .limit(limitNum + 1)
+        .select(LIST_EXCLUDED_FIELDS);
+
+      const results = cursorPage(documents, limitNum, cursor.sort);
+      properties = results.items.map(document => presentProperty(document, req));
+      pagination = results.pagination;
+    } else {
+      // Execute query
+      const documents = await Property.find(query)
+        .setOptions({ withDeleted: req.includeDeleted })
+        .populate(Property.agentCardPopulate())
+        .sort(toSortOrder(order))
+        .skip(skip)
+        .limit(limitNum)
+        .select(LIST_EXCLUDED_FIELDS);
+
+      properties = documents.map(document => presentProperty(document, req));
+
+      // Get total count for pagination
+      const totalItems = await Property.countDocuments(query).setOptions({ withDeleted: req.includeDeleted });
+      pagination = pagePagination(pageNum, limitNum, totalItems);
+    }
+  }
+
+  const data = { properties, pagination };
+
+  // Counts for a filter sidebar, over every listing matching the filters
+  if (facets === 'true') {
+    data.facets = await Property.getFacets(filterStages, { withDeleted: req.includeDeleted });
+  }
 
   res.json({
     success: true,
-    data: {
-      properties,
-      pagination
-    },
+    data,
     message: 'Properties retrieved successfully'
   });
 });
 
 // @desc    Get single property by ID
 // @route   GET /api/v1/properties/:id
-// @access  Public
+// @access  Public (optional auth adds isFavorited)
 const getProperty = asyncHandler(async (req, res) => {
-  const property = await Property.findById(req.params.id).select('-__v');
+  const property = await Property.findById(req.params.id)
+    .populate(Property.agentCardPopulate())
+    .select('-__v');
 
   if (!property) {
     return res.status(404).json({
@@ -98,25 +285,85 @@ const getProperty = asyncHandler(async (req, res) => {
   // Increment views (optional - don't await to avoid slowing response)
   property.incrementViews().catch(err => console.error('Error incrementing views:', err));
 
+  const data = presentProperty(property, req);
+
+  // Let signed-in users know whether they saved this property
+  if (req.user) {
+    data.isFavorited = !!(await Favorite.exists({ user: req.user._id, property: property._id }));
+  }
+
   res.json({
     success: true,
-    data: property,
+    data,
     message: 'Property retrieved successfully'
   });
 });
 
+// @desc    Get the price history of a property
+// @route   GET /api/v1/properties/:id/price-history
+// @access  Public (who made each change is shown to users who can manage the listing)
+const getPriceHistory = asyncHandler(async (req, res) => {
+  const property = await Property.findById(req.params.id)
+    .select('name price currency priceFormatted previousPrice priceChangedAt priceReduced priceHistory agent createdBy')
+    .populate('priceHistory.changedBy', 'name');
+
+  if (!property) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'NOT_FOUND',
+        message: 'Property not found'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const showActor = property.canBeManagedBy(req.user);
+
+  res.json({
+    success: true,
+    data: {
+      id: property._id,
+      name: property.name,
+      price: property.price,
+      currency: property.currency,
+      priceFormatted: property.priceFormatted,
+      previousPrice: property.previousPrice,
+      priceChangedAt: property.priceChangedAt,
+      priceReduced: property.priceReduced,
+      history: property.priceHistory.map(entry => ({
+        price: entry.price,
+        previousPrice: entry.previousPrice,
+        changedAt: entry.changedAt,
+        ...(showActor ? { changedBy: entry.changedBy } : {})
+      }))
+    },
+    message: 'Price history retrieved successfully'
+  });
+});
+
 // @desc    Create new property
 // @route   POST /api/v1/properties
-// @access  Private (Admin only)
+// @access  Private (property:create)
 const createProperty = asyncHandler(async (req, res) => {
-  // Add created by user info if needed
   const propertyData = {
-    ...req.body,
+    ...sanitizePropertyInput(req.body, req.user),
     createdBy: req.user._id
   };
 
+  // Without property:update:any a listing can't be assigned to someone else;
+  // listing agents list it as themselves
+  if (!req.user.hasPermission('property:update:any') && req.user.isListingAgent()) {
+    propertyData.agent = req.user._id;
+  }
+
   const property = await Property.create(propertyData);
 
+  AuditLog.record(req, { action: 'create', entity: 'property', entityId: property._id, after: property });
+
+  // Alert users whose saved searches match the new listing (don't block the response)
+  matchSavedSearches(property).catch(err => console.error('Error matching saved searches:', err));
+
   res.status(201).json({
     success: true,
     data: {
@@ -127,10 +374,14 @@ const createProperty = asyncHandler(async (req, res) => {
       subcategory: property.subcategory,
       location: property.location,
       price: property.price,
+      currency: property.currency,
       priceFormatted: property.priceFormatted,
       type: property.type,
+      rental: property.rental,
       status: property.status,
       featured: property.featured,
+      agent: property.agent,
+      createdBy: property.createdBy,
       createdAt: property.createdAt,
       updatedAt: property.updatedAt
     },
@@ -140,9 +391,9 @@ const createProperty = asyncHandler(async (req, res) => {
 
 // @desc    Update property
 // @route   PUT /api/v1/properties/:id
-// @access  Private (Admin only)
+// @access  Private (property:update:own for own listings, or property:update:any)
 const updateProperty = asyncHandler(async (req, res) => {
-  let property = await Property.findById(req.params.id);
+  const property = await Property.findById(req.params.id);
 
   if (!property) {
     return res.status(404).json({
@@ -155,15 +406,31 @@ const updateProperty = asyncHandler(async (req, res) => {
     });
   }
 
-  // Update property
-  property = await Property.findByIdAndUpdate(
-    req.params.id,
-    req.body,
-    {
-      new: true,
-      runValidators: true
-    }
-  ).select('-__v');
+  if (!property.canBeManagedBy(req.user)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'FORBIDDEN',
+        message: 'You can only manage your own listings'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const previous = property.toObject();
+
+  // Update property (price changes are added to the price history;
+  // Lease Out listings are priced by their monthly rent)
+  const { price, ...updates } = sanitizePropertyInput(req.body, req.user);
+  property.set(updates);
+  const newPrice = property.type === 'Lease Out' && property.rental ? property.rental.monthlyRent : price;
+  if (newPrice !== undefined) property.changePrice(newPrice, req.user._id);
+  await property.save();
+
+  AuditLog.record(req, { action: 'update', entity: 'property', entityId: property._id, before: previous, after: property });
+
+  // Alert users whose saved searches the listing now matches (don't block the response)
+  matchSavedSearches(property, previous).catch(err => console.error('Error matching saved searches:', err));
 
   res.json({
     success: true,
@@ -171,7 +438,11 @@ const updateProperty = asyncHandler(async (req, res) => {
       id: property._id,
       name: property.name,
       price: property.price,
+      currency: property.currency,
       priceFormatted: property.priceFormatted,
+      previousPrice: property.previousPrice,
+      priceChangedAt: property.priceChangedAt,
+      rental: property.rental,
       status: property.status,
       featured: property.featured,
       updatedAt: property.updatedAt
@@ -180,9 +451,125 @@ const updateProperty = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Delete property
+// @desc    Change listing status
+// @route   POST /api/v1/properties/:id/status
+// @access  Private (property:update:own for own listings, or property:update:any)
+const changePropertyStatus = asyncHandler(async (req, res) => {
+  const { status, reason } = req.body;
+
+  const property = await Property.findById(req.params.id);
+
+  if (!property) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'NOT_FOUND',
+        message: 'Property not found'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (!property.canBeManagedBy(req.user)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'FORBIDDEN',
+        message: 'You can only manage your own listings'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (!property.canTransitionTo(status)) {
+    const allowed = Property.getStatusTransitions()[property.status];
+    let message = `Cannot change listing status from ${property.status} to ${status}`;
+    if (status === 'Rented' && property.type !== 'Lease Out') {
+      message = 'Only Lease Out listings can be Rented';
+    } else if (status === 'Sold' && property.type === 'Lease Out') {
+      message = 'Lease Out listings cannot be Sold';
+    } else if (allowed.length > 0) {
+      message += ` (allowed: ${allowed.join(', ')})`;
+    }
+
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_STATUS_TRANSITION',
+        message
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const previous = property.toObject();
+  await property.transitionTo(status, req.user._id, reason);
+
+  AuditLog.record(req, { action: 'status-change', entity: 'property', entityId: property._id, before: previous, after: property });
+
+  // A listing back on the market may match saved searches again (don't block the response)
+  matchSavedSearches(property, previous).catch(err => console.error('Error matching saved searches:', err));
+
+  res.json({
+    success: true,
+    data: {
+      id: property._id,
+      status: property.status,
+      statusHistory: property.statusHistory,
+      updatedAt: property.updatedAt
+    },
+    message: `Property marked ${status}`
+  });
+});
+
+// @desc    Get the status timeline of a property
+// @route   GET /api/v1/properties/:id/status-history
+// @access  Private (property:update:own for own listings, or property:update:any)
+const getStatusHistory = asyncHandler(async (req, res) => {
+  const property = await Property.findById(req.params.id)
+    .select('name type status statusHistory agent createdBy')
+    .populate('statusHistory.changedBy', 'name email');
+
+  if (!property) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'NOT_FOUND',
+        message: 'Property not found'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (!property.canBeManagedBy(req.user)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'FORBIDDEN',
+        message: 'You can only manage your own listings'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      id: property._id,
+      name: property.name,
+      type: property.type,
+      status: property.status,
+      allowedTransitions: Property.getStatusTransitions()[property.status]
+        .filter(status => property.canTransitionTo(status)),
+      timeline: property.statusHistory
+    },
+    message: 'Status history retrieved successfully'
+  });
+});
+
+// @desc    Delete property (soft delete; purged after the retention period)
 // @route   DELETE /api/v1/properties/:id
-// @access  Private (Admin only)
+// @access  Private (property:delete)
 const deleteProperty = asyncHandler(async (req, res) => {
   const property = await Property.findById(req.params.id);
 
@@ -197,7 +584,10 @@ const deleteProperty = asyncHandler(async (req, res) => {
     });
   }
 
-  await Property.findByIdAndDelete(req.params.id);
+  const previous = property.toObject();
+  await property.softDelete(req.user._id);
+
+  AuditLog.record(req, { action: 'delete', entity: 'property', entityId: property._id, before: previous, after: property });
 
   res.json({
     success: true,
@@ -206,18 +596,52 @@ const deleteProperty = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Restore a deleted property
+// @route   POST /api/v1/properties/:id/restore
+// @access  Private (property:delete)
+const restoreProperty = asyncHandler(async (req, res) => {
+  const property = await Property.findDeletedById(req.params.id);
+
+  if (!property) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'NOT_FOUND',
+        message: 'Deleted property not found'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const previous = property.toObject();
+  await property.restore();
+
+  AuditLog.record(req, { action: 'restore', entity: 'property', entityId: property._id, before: previous, after: property });
+
+  res.json({
+    success: true,
+    data: {
+      id: property._id,
+      name: property.name,
+      status: property.status,
+      updatedAt: property.updatedAt
+    },
+    message: 'Property restored successfully'
+  });
+});
+
 // @desc    Get property statistics
 // @route   GET /api/v1/properties/stats
-// @access  Private (Admin only)
+// @access  Private (property:stats)
 const getPropertyStats = asyncHandler(async (req, res) => {
   const stats = await Property.aggregate([
     {
       $group: {
         _id: null,
         totalProperties: { $sum: 1 },
-        averagePrice: { $avg: '$price' },
-        minPrice: { $min: '$price' },
-        maxPrice: { $max: '$price' }
+        averagePrice: { $avg: '$basePrice' },
+        minPrice: { $min: '$basePrice' },
+        maxPrice: { $max: '$basePrice' }
       }
     }
   ]);
@@ -236,7 +660,7 @@ const getPropertyStats = asyncHandler(async (req, res) => {
       $group: {
         _id: '$category',
         count: { $sum: 1 },
-        averagePrice: { $avg: '$price' }
+        averagePrice: { $avg: '$basePrice' }
       }
     }
   ]);
@@ -283,60 +707,120 @@ const getPropertyStats = asyncHandler(async (req, res) => {
 // @route   GET /api/v1/properties/search
 // @access  Public
 const searchProperties = asyncHandler(async (req, res) => {
-  const { q, page = 1, limit = 10 } = req.query;
-
-  if (!q) {
-    return res.status(400).json({
-      success: false,
-      error: {
-        code: 'VALIDATION_ERROR',
-        message: 'Search query is required'
-      },
-      timestamp: new Date().toISOString()
-    });
-  }
+  const { q, page = 1, limit = 10, sort = 'relevance' } = req.query;
 
   const pageNum = parseInt(page);
   const limitNum = parseInt(limit);
   const skip = (pageNum - 1) * limitNum;
+  const order = resolveSort(SEARCH_SORTS, sort);
+  const cursor = cursorMode(req.query.cursor, order);
+
+  // Take the filters the query names ("3 bed villa under 2M in Miami") out of
+  // it; the words left over are searched as text
+  const { filters, text } = parseSearchQuery(q);
+  const match = { status: 'Available' };
+  if (filters.category) match.category = filters.category;
+  if (filters.subcategory) match.subcategory = { $in: toList(filters.subcategory) };
+  if (filters.minBedrooms !== undefined) match['features.bedrooms'] = { $gte: filters.minBedrooms };
+  if (filters.minPrice !== undefined || filters.maxPrice !== undefined) {
+    match.basePrice = {};
+    if (filters.minPrice !== undefined) match.basePrice.$gte = filters.minPrice;
+    if (filters.maxPrice !== undefined) match.basePrice.$lte = filters.maxPrice;
+  }
 
-  // Text search
-  const properties = await Property.find(
-    {
-      $text: { $search: q },
-      status: 'Available'
-    },
-    { score: { $meta: 'textScore' } }
-  )
-    .sort({ score: { $meta: 'textScore' } })
-    .skip(skip)
-    .limit(limitNum)
-    .select('-__v');
+  // Correct likely typos against the suggestion index (the original words are
+  // searched too, so exact matches still count)
+  const [textFix, locationFix] = await Promise.all([
+    SearchSuggestion.correctWords(text),
+    SearchSuggestion.correctWords(filters.location || '')
+  ]);
+  const corrections = [...textFix.corrections, ...locationFix.corrections];
+  if (filters.location) {
+    filters.location = locationFix.corrections.reduce(
+      (location, { from, to }) => location.replace(new RegExp(`\\b${escapeRegex(from)}\\b`, 'i'), to),
+      filters.location
+    );
+    match.$or = locationFilter(filters.location);
+  }
 
-  const totalItems = await Property.countDocuments({
-    $text: { $search: q },
-    status: 'Available'
-  });
+  // Relevance: the text score, boosted for listings in a city named in the
+  // search. A query made only of filters has no text, so ties order by ID.
+  let scoreStages;
+  if (tokenize(text).length > 0) {
+    match.$text = { $search: [text, ...textFix.corrections.map(correction => correction.to)].join(' ') };
+    const cityNamed = { $in: [{ $toLower: { $ifNull: ['$address.city', ''] } }, phrasesOf(textFix.words)] };
+    scoreStages = [
+      { $match: match },
+      { $addFields: { score: { $add: [{ $meta: 'textScore' }, { $cond: [cityNamed, CITY_MATCH_BOOST, 0] }] } } }
+    ];
+  } else {
+    scoreStages = [{ $match: match }, { $addFields: { score: 0 } }];
+  }
+  const project = { $project: { __v: 0, priceHistory: 0, statusHistory: 0 } };
+
+  let items;
+  let pagination;
+
+  if (cursor) {
+    const documents = await Property.aggregate([
+      ...scoreStages,
+      { $match: withCursor({}, cursor.after) },
+      { $sort: toSortOrder(cursor.sort) },
+      { $limit: limitNum + 1 },
+      project
+    ]);
+
+    ({ items, pagination } = cursorPage(documents, limitNum, cursor.sort));
+  } else {
+    const [result] = await Property.aggregate([
+      ...scoreStages,
+      {
+        $facet: {
+          items: [{ $sort: toSortOrder(order) }, { $skip: skip }, { $limit: limitNum }, project],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
 
-  const totalPages = Math.ceil(totalItems / limitNum);
+    items = result.items;
+    pagination = pagePagination(pageNum, limitNum, result.total[0] ? result.total[0].count : 0);
+  }
 
-  const pagination = {
-    currentPage: pageNum,
-    totalPages,
-    totalItems,
-    itemsPerPage: limitNum,
-    hasNextPage: pageNum < totalPages,
-    hasPreviousPage: pageNum > 1
-  };
+  const properties = await Property.populate(
+    items.map(item => Property.hydrate(item)),
+    Property.agentCardPopulate()
+  );
 
   res.json({
     success: true,
     data: {
-      properties,
+      properties: properties.map(property => presentProperty(property, req)),
       pagination,
-      searchQuery: q
+      searchQuery: q,
+      interpretation: { filters, text },
+      corrections
+    },
+    message: pagination.totalItems === undefined
+      ? `Found properties matching "${q}"`
+      : `Found ${pagination.totalItems} properties matching "${q}"`
+  });
+});
+
+// @desc    Get autocomplete suggestions (locations, neighborhoods and listing names)
+// @route   GET /api/v1/properties/suggest
+// @access  Public
+const getSuggestions = asyncHandler(async (req, res) => {
+  const { q, kind, limit = 8 } = req.query;
+
+  const suggestions = await SearchSuggestion.suggest(q, { kind, limit: parseInt(limit) });
+
+  res.json({
+    success: true,
+    data: {
+      suggestions,
+      query: q
     },
-    message: `Found ${totalItems} properties matching "${q}"`
+    message: 'Suggestions retrieved successfully'
   });
 });
 
@@ -344,20 +828,21 @@ const searchProperties = asyncHandler(async (req, res) => {
 // @route   GET /api/v1/properties/featured
 // @access  Public
 const getFeaturedProperties = asyncHandler(async (req, res) => {
-  const { limit = 6 } = req.query;
+  const { limit = 6, sort = 'newest' } = req.query;
 
   const properties = await Property.find({
     featured: true,
     status: 'Available'
   })
-    .sort('-createdAt')
+    .populate(Property.agentCardPopulate())
+    .sort(toSortOrder(resolveSort(LISTING_SORTS, sort)))
     .limit(parseInt(limit))
-    .select('-__v');
+    .select(LIST_EXCLUDED_FIELDS);
 
   res.json({
     success: true,
     data: {
-      properties
+      properties: properties.map(property => presentProperty(property, req))
     },
     message: 'Featured properties retrieved successfully'
   });
@@ -366,10 +851,15 @@ const getFeaturedProperties = asyncHandler(async (req, res) => {
 module.exports = {
   getProperties,
   getProperty,
+  getPriceHistory,
   createProperty,
   updateProperty,
+  changePropertyStatus,
+  getStatusHistory,
   deleteProperty,
+  restoreProperty,
   getPropertyStats,
   searchProperties,
+  getSuggestions,
   getFeaturedProperties
 };
\ No newline at end of file
@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const Property = require('../models/Property');
+const AuditLog = require('../models/AuditLog');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { processImage, removeStoredImage } = require('../utils/imageProcessor');
+const { getStorage } = require('../utils/storage');
+
+// @desc    Upload property images
+// @route   POST /api/v1/properties/:id/images
+// @access  Private (property:update:own for own listings, or property:update:any)
+const uploadImages = asyncHandler(async (req, res) => {
+  // Loaded and checked by requireListingManager before the upload was read
+  const property = req.property;
+  const previous = property.toObject();
+
+  if (!req.files || req.files.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'At least one image file is required (multipart field "images")'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const storage = getStorage();
+  const savedKeys = [];
+  const nextOrder = property.gallery.reduce((max, image) => Math.max(max, image.order + 1), 0);
+
+  try {
+    for (const [index, file] of req.files.entries()) {
+      const processed = await processImage(file.buffer);
+      const baseKey = `properties/${property._id}/${crypto.randomBytes(12).toString('hex')}`;
+
+      const variants = {};
+      for (const [name, buffer] of Object.entries(processed.variants)) {
+        const stored = await storage.save(`${baseKey}-${name}.jpg`, buffer, 'image/jpeg');
+        savedKeys.push(stored.key);
+        variants[name] = stored;
+      }
+
+      property.gallery.push({
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        width: processed.width,
+        height: processed.height,
+        variants,
+        order: nextOrder + index,
+        uploadedBy: req.user._id
+      });
+    }
+
+    // The first uploaded image becomes the cover until another one is chosen
+    if (!property.gallery.some(image => image.isCover)) {
+      property.setCoverImage(property.getOrderedGallery()[0]._id);
+    }
+
+    await property.save();
+  } catch (error) {
+    // Don't leave orphaned files behind if processing or saving failed
+    await Promise.all(savedKeys.map(key => storage.remove(key).catch(() => {})));
+    throw error;
+  }
+
+  AuditLog.record(req, { action: 'upload-images', entity: 'property', entityId: property._id, before: previous, after: property });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      image: property.image,
+      gallery: property.getOrderedGallery()
+    },
+    message: `${req.files.length} image(s) uploaded successfully`
+  });
+});
+
+// @desc    Reorder property images
+// @route   PUT /api/v1/properties/:id/images/order
+// @access  Private (property:update:own for own listings, or property:update:any)
+const reorderImages = asyncHandler(async (req, res) => {
+  const property = await Property.findById(req.params.id);
+
+  if (!property) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'NOT_FOUND',
+        message: 'Property not found'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (!property.canBeManagedBy(req.user)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'FORBIDDEN',
+        message: 'You can only manage your own listings'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const previous = property.toObject();
+
+  if (!property.reorderGallery(req.body.order)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Order must list every image ID of this property exactly once'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  await property.save();
+
+  AuditLog.record(req, { action: 'reorder-images', entity: 'property', entityId: property._id, before: previous, after: property });
+
+  res.json({
+    success: true,
+    data: {
+      gallery: property.getOrderedGallery()
+    },
+    message: 'Images reordered successfully'
+  });
+});
+
+// @desc    Set property cover image
+// @route   PUT /api/v1/properties/:id/images/:imageId/cover
+// @access  Private (property:update:own for own listings, or property:update:any)
+const setCoverImage = asyncHandler(async (req, res) => {
+  const property = await Property.findById(req.params.id);
+
+  if (!property) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'NOT_FOUND',
+        message: 'Property not found'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (!property.canBeManagedBy(req.user)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'FORBIDDEN',
+        message: 'You can only manage your own listings'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const previous = property.toObject();
+
+  if (!property.setCoverImage(req.params.imageId)) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'NOT_FOUND',
+        message: 'Image not found'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  await property.save();
+
+  AuditLog.record(req, { action: 'set-cover-image', entity: 'property', entityId: property._id, before: previous, after: property });
+
+  res.json({
+    success: true,
+    data: {
+      image: property.image,
+      gallery: property.getOrderedGallery()
+    },
+    message: 'Cover image updated successfully'
+  });
+});
+
+// @desc    Delete property image
+// @route   DELETE /api/v1/properties/:id/images/:imageId
+// @access  Private (property:update:own for own listings, or property:update:any)
+const deleteImage = asyncHandler(async (req, res) => {
+  const property = await Property.findById(req.params.id);
+
+  if (!property) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'NOT_FOUND',
+        message: 'Property not found'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (!property.canBeManagedBy(req.user)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'FORBIDDEN',
+        message: 'You can only manage your own listings'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const previous = property.toObject();
+
+  const image = property.gallery.id(req.params.imageId);
+  if (!image) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'NOT_FOUND',
+        message: 'Image not found'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // A property always needs a main image
+  if (image.isCover && property.gallery.length === 1 && property.images.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Cannot delete the only image of a property'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  property.removeGalleryImage(image._id);
+  await property.save();
+
+  AuditLog.record(req, { action: 'delete-image', entity: 'property', entityId: property._id, before: previous, after: property });
+
+  await removeStoredImage(getStorage(), image)
+    .catch(err => console.error('Error removing stored image:', err));
+
+  res.json({
+    success: true,
+    data: {
+      image: property.image,
+      gallery: property.getOrderedGallery()
+    },
+    message: 'Image deleted successfully'
+  });
+});
+
+module.exports = {
+  uploadImages,
+  reorderImages,
+  setCoverImage,
+  deleteImage
+};
@@ -0,0 +1,206 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { PERMISSIONS, BUILT_IN_ROLES, isBuiltInRole } = require('../utils/permissions');
+
+// Check that a user holds every permission they try to put on a role
+const canGrantPermissions = (user, permissions = []) => permissions.every(permission => user.hasPermission(permission));
+
+// @desc    Get roles and the available permissions
+// @route   GET /api/v1/auth/roles
+// @access  Private (role:manage)
+const getRoles = asyncHandler(async (req, res) => {
+  const roles = await Role.listRoles();
+
+  res.json({
+    success: true,
+    data: {
+      roles,
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+    },
+    message: 'Roles retrieved successfully'
+  });
+});
+
+// @desc    Create a custom role
+// @route   POST /api/v1/auth/roles
+// @access  Private (role:manage)
+const createRole = asyncHandler(async (req, res) => {
+  const { name, label, description, permissions } = req.body;
+
+  if (isBuiltInRole(name) || await Role.exists({ name })) {
+    return res.status(409).json({
+      success: false,
+      error: {
+        code: 'DUPLICATE_FIELD',
+        message: 'A role with this name already exists'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (!canGrantPermissions(req.user, permissions)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'FORBIDDEN',
+        message: 'You cannot grant permissions you do not have'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const role = await Role.create({
+    name,
+    label,
+    description,
+    permissions,
+    updatedBy: req.user._id
+  });
+  Role.clearCache(role.name);
+
+  AuditLog.record(req, { action: 'create', entity: 'role', entityId: role.name, after: role });
+
+  res.status(201).json({
+    success: true,
+    data: role,
+    message: 'Role created successfully'
+  });
+});
+
+// @desc    Update a role (custom roles, or the permissions of built-in roles)
+// @route   PUT /api/v1/auth/roles/:name
+// @access  Private (role:manage)
+const updateRole = asyncHandler(async (req, res) => {
+  const { name } = req.params;
+  const { label, description, permissions } = req.body;
+
+  if (name === 'admin') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'The admin role always has every permission and cannot be changed'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  let role = await Role.findOne({ name });
+
+  // Built-in roles are stored the first time their defaults are overridden
+  if (!role && isBuiltInRole(name)) {
+    const defaults = BUILT_IN_ROLES[name];
+    role = new Role({
+      name,
+      label: defaults.label,
+      description: defaults.description,
+      permissions: defaults.permissions
+    });
+  }
+
+  if (!role) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'NOT_FOUND',
+        message: 'Role not found'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Both the current and the new permissions must be within the user's own
+  if (!canGrantPermissions(req.user, role.permissions) || !canGrantPermissions(req.user, permissions)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'FORBIDDEN',
+        message: 'You cannot change roles with permissions you do not have'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const previous = role.toObject();
+
+  if (label !== undefined) role.label = label;
+  if (description !== undefined) role.description = description;
+  if (permissions !== undefined) role.permissions = permissions;
+  role.updatedBy = req.user._id;
+
+  await role.save();
+  Role.clearCache(role.name);
+
+  AuditLog.record(req, { action: 'update', entity: 'role', entityId: role.name, before: previous, after: role });
+
+  res.json({
+    success: true,
+    data: role,
+    message: 'Role updated successfully'
+  });
+});
+
+// @desc    Delete a custom role (or reset a built-in role to its defaults)
+// @route   DELETE /api/v1/auth/roles/:name
+// @access  Private (role:manage)
+const deleteRole = asyncHandler(async (req, res) => {
+  const { name } = req.params;
+
+  const role = await Role.findOne({ name });
+
+  if (!role) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'NOT_FOUND',
+        message: isBuiltInRole(name) ? 'Built-in roles cannot be deleted' : 'Role not found'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (!canGrantPermissions(req.user, role.permissions)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'FORBIDDEN',
+        message: 'You cannot change roles with permissions you do not have'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (!isBuiltInRole(name)) {
+    const usersWithRole = await User.countDocuments({ role: name });
+    if (usersWithRole > 0) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'ROLE_IN_USE',
+          message: `Role is assigned to ${usersWithRole} user(s); reassign them first`
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  await role.deleteOne();
+  Role.clearCache(name);
+
+  AuditLog.record(req, { action: isBuiltInRole(name) ? 'reset' : 'delete', entity: 'role', entityId: name, before: role });
+
+  res.json({
+    success: true,
+    data: null,
+    message: isBuiltInRole(name) ? 'Role reset to its default permissions' : 'Role deleted successfully'
+  });
+});
+
+module.exports = {
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole
+};
@@ -0,0 +1,163 @@
+const SavedSearch = require('../models/SavedSearch');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// Maximum number of saved searches per user
+const MAX_SAVED_SEARCHES = 20;
+
+const FILTER_FIELDS = ['type', 'category', 'minPrice', 'maxPrice', 'location'];
+
+// Pick the supported filter fields from the request body
+const pickFilters = (filters = {}) => FILTER_FIELDS.reduce((acc, field) => {
+  if (filters[field] !== undefined && filters[field] !== '') acc[field] = filters[field];
+  return acc;
+}, {});
+
+// @desc    Get current user's saved searches
+// @route   GET /api/v1/me/saved-searches
+// @access  Private
+const getSavedSearches = asyncHandler(async (req, res) => {
+  const savedSearches = await SavedSearch.find({ user: req.user._id })
+    .sort('-createdAt')
+    .select('-__v');
+
+  res.json({
+    success: true,
+    data: {
+      savedSearches: savedSearches.map(search => ({
+        ...search.toJSON(),
+        query: search.toQueryString()
+      }))
+    },
+    message: 'Saved searches retrieved successfully'
+  });
+});
+
+// @desc    Get single saved search
+// @route   GET /api/v1/me/saved-searches/:id
+// @access  Private
+const getSavedSearch = asyncHandler(async (req, res) => {
+  const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id })
+    .select('-__v');
+
+  if (!savedSearch) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'NOT_FOUND',
+        message: 'Saved search not found'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      ...savedSearch.toJSON(),
+      query: savedSearch.toQueryString()
+    },
+    message: 'Saved search retrieved successfully'
+  });
+});
+
+// @desc    Create saved search
+// @route   POST /api/v1/me/saved-searches
+// @access  Private
+const createSavedSearch = asyncHandler(async (req, res) => {
+  const { name, filters, alertsEnabled } = req.body;
+
+  const count = await SavedSearch.countDocuments({ user: req.user._id });
+  if (count >= MAX_SAVED_SEARCHES) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'LIMIT_EXCEEDED',
+        message: `You can save up to ${MAX_SAVED_SEARCHES} searches`
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const savedSearch = await SavedSearch.create({
+    user: req.user._id,
+    name,
+    filters: pickFilters(filters),
+    alertsEnabled
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      ...savedSearch.toJSON(),
+      query: savedSearch.toQueryString()
+    },
+    message: 'Search saved successfully'
+  });
+});
+
+// @desc    Update saved search
+// @route   PUT /api/v1/me/saved-searches/:id
+// @access  Private
+const updateSavedSearch = asyncHandler(async (req, res) => {
+  const { name, filters, alertsEnabled } = req.body;
+
+  const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id });
+
+  if (!savedSearch) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'NOT_FOUND',
+        message: 'Saved search not found'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (name !== undefined) savedSearch.name = name;
+  if (filters !== undefined) savedSearch.filters = pickFilters(filters);
+  if (alertsEnabled !== undefined) savedSearch.alertsEnabled = alertsEnabled;
+
+  await savedSearch.save();
+
+  res.json({
+    success: true,
+    data: {
+      ...savedSearch.toJSON(),
+      query: savedSearch.toQueryString()
+    },
+    message: 'Saved search updated successfully'
+  });
+});
+
+// @desc    Delete saved search
+// @route   DELETE /api/v1/me/saved-searches/:id
+// @access  Private
+const deleteSavedSearch = asyncHandler(async (req, res) => {
+  const savedSearch = await SavedSearch.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+  if (!savedSearch) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'NOT_FOUND',
+        message: 'Saved search not found'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.json({
+    success: true,
+    data: null,
+    message: 'Saved search deleted successfully'
+  });
+});
+
+module.exports = {
+  getSavedSearches,
+  getSavedSearch,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch
+};
@@ -1,9 +1,20 @@
 const Service = require('../models/Service');
+const AuditLog = require('../models/AuditLog');
 const { asyncHandler } = require('../middleware/errorHandler');
 
+// Fields that are never taken from the request body
+const PROTECTED_FIELDS = ['metadata', 'deletedAt', 'deletedBy'];
+
+// Copy the request body without the protected fields
+const sanitizeServiceInput = (body) => {
+  const data = { ...body };
+  PROTECTED_FIELDS.forEach(field => delete data[field]);
+  return data;
+};
+
 // @desc    Get all services
 // @route   GET /api/v1/services
-// @access  Public
+// @access  Public (includeDeleted=true requires service:manage)
 const getServices = asyncHandler(async (req, res) => {
   const { category, featured, active = 'true' } = req.query;
 
@@ -14,6 +25,7 @@ const getServices = asyncHandler(async (req, res) => {
   if (featured !== undefined) query.featured = featured === 'true';
 
   const services = await Service.find(query)
+    .setOptions({ withDeleted: req.includeDeleted })
     .sort({ featured: -1, order: 1 })
     .select('-__v -metadata.views -metadata.inquiries');
 
@@ -53,11 +65,13 @@ const getService = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Create new service (Admin only)
+// @desc    Create new service
 // @route   POST /api/v1/services
-// @access  Private (Admin)
+// @access  Private (service:manage)
 const createService = asyncHandler(async (req, res) => {
-  const service = await Service.create(req.body);
+  const service = await Service.create(sanitizeServiceInput(req.body));
+
+  AuditLog.record(req, { action: 'create', entity: 'service', entityId: service._id, after: service });
 
   res.status(201).json({
     success: true,
@@ -66,9 +80,9 @@ const createService = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Update service (Admin only)
+// @desc    Update service
 // @route   PUT /api/v1/services/:id
-// @access  Private (Admin)
+// @access  Private (service:manage)
 const updateService = asyncHandler(async (req, res) => {
   let service = await Service.findById(req.params.id);
 
@@ -83,15 +97,19 @@ const updateService = asyncHandler(async (req, res) => {
     });
   }
 
+  const previous = service;
+
   service = await Service.findByIdAndUpdate(
     req.params.id,
-    req.body,
+    sanitizeServiceInput(req.body),
     {
       new: true,
       runValidators: true
     }
   ).select('-__v');
 
+  AuditLog.record(req, { action: 'update', entity: 'service', entityId: service._id, before: previous, after: service });
+
   res.json({
     success: true,
     data: service,
@@ -99,9 +117,9 @@ const updateService = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Delete service (Admin only)
+// @desc    Delete service (soft delete; purged after the retention period)
 // @route   DELETE /api/v1/services/:id
-// @access  Private (Admin)
+// @access  Private (service:manage)
 const deleteService = asyncHandler(async (req, res) => {
   const service = await Service.findById(req.params.id);
 
@@ -116,7 +134,10 @@ const deleteService = asyncHandler(async (req, res) => {
     });
   }
 
-  await Service.findByIdAndDelete(req.params.id);
+  const previous = service.toObject();
+  await service.softDelete(req.user._id);
+
+  AuditLog.record(req, { action: 'delete', entity: 'service', entityId: service._id, before: previous, after: service });
 
   res.json({
     success: true,
@@ -125,6 +146,35 @@ const deleteService = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Restore a deleted service
+// @route   POST /api/v1/services/:id/restore
+// @access  Private (service:manage)
+const restoreService = asyncHandler(async (req, res) => {
+  const service = await Service.findDeletedById(req.params.id);
+
+  if (!service) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'NOT_FOUND',
+        message: 'Deleted service not found'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const previous = service.toObject();
+  await service.restore();
+
+  AuditLog.record(req, { action: 'restore', entity: 'service', entityId: service._id, before: previous, after: service });
+
+  res.json({
+    success: true,
+    data: service,
+    message: 'Service restored successfully'
+  });
+});
+
 // @desc    Get services by category
 // @route   GET /api/v1/services/category/:category
 // @access  Public
@@ -166,9 +216,9 @@ const getFeaturedServices = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Record service inquiry (Admin only)
+// @desc    Record service inquiry
 // @route   POST /api/v1/services/:id/inquiry
-// @access  Private (Admin)
+// @access  Private (service:manage)
 const recordInquiry = asyncHandler(async (req, res) => {
   const service = await Service.findById(req.params.id);
 
@@ -183,8 +233,12 @@ const recordInquiry = asyncHandler(async (req, res) => {
     });
   }
 
+  const previous = service.toObject();
+
   await service.incrementInquiries();
 
+  AuditLog.record(req, { action: 'record-inquiry', entity: 'service', entityId: service._id, before: previous, after: service });
+
   res.json({
     success: true,
     data: {
@@ -195,9 +249,9 @@ const recordInquiry = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Get service statistics (Admin only)
+// @desc    Get service statistics
 // @route   GET /api/v1/services/stats
-// @access  Private (Admin)
+// @access  Private (service:manage)
 const getServiceStats = asyncHandler(async (req, res) => {
   const totalServices = await Service.countDocuments();
   const activeServices = await Service.countDocuments({ active: true });
@@ -258,6 +312,7 @@ module.exports = {
   createService,
   updateService,
   deleteService,
+  restoreService,
   getServicesByCategory,
   getFeaturedServices,
   recordInquiry,
@@ -0,0 +1,268 @@
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+const AuditLog = require('../models/AuditLog');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { getTwoFactorRequiredRoles } = require('../middleware/auth');
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret
+} = require('../utils/totp');
+
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || process.env.APP_NAME || 'Real Estate';
+
+// @desc    Get two-factor authentication status
+// @route   GET /api/v1/auth/2fa
+// @access  Private
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('+twoFactor.backupCodes');
+  const requiredRoles = await getTwoFactorRequiredRoles();
+
+  res.json({
+    success: true,
+    data: {
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      backupCodesRemaining: (user.twoFactor.backupCodes || []).length,
+      required: requiredRoles.includes(user.role)
+    },
+    message: 'Two-factor status retrieved successfully'
+  });
+});
+
+// @desc    Start two-factor enrollment
+// @route   POST /api/v1/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.twoFactor.enabled) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'TWO_FACTOR_ALREADY_ENABLED',
+        message: 'Two-factor authentication is already enabled'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // The secret only becomes active once a code generated from it is confirmed
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    data: {
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: TWO_FACTOR_ISSUER })
+    },
+    message: 'Scan the code with your authenticator app, then confirm with a generated code'
+  });
+});
+
+// @desc    Confirm two-factor enrollment with a code from the authenticator app
+// @route   POST /api/v1/auth/2fa/confirm
+// @access  Private
+const confirmTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+  if (user.twoFactor.enabled) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'TWO_FACTOR_ALREADY_ENABLED',
+        message: 'Two-factor authentication is already enabled'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (!user.twoFactor.pendingSecret) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Start two-factor setup before confirming it'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const step = verifyCode(decryptSecret(user.twoFactor.pendingSecret), req.body.code);
+  if (step === null) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_CODE',
+        message: 'Invalid authentication code'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabledAt = new Date();
+  const backupCodes = user.generateBackupCodes();
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    data: {
+      enabled: true,
+      backupCodes
+    },
+    message: 'Two-factor authentication enabled. Store the backup codes somewhere safe; they will not be shown again.'
+  });
+});
+
+// @desc    Replace the backup codes
+// @route   POST /api/v1/auth/2fa/backup-codes
+// @access  Private
+const regenerateBackupCodes = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id)
+    .select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+
+  if (!user.twoFactor.enabled) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'TWO_FACTOR_NOT_ENABLED',
+        message: 'Two-factor authentication is not enabled'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (!user.verifyTwoFactorCode(req.body.code)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_CODE',
+        message: 'Invalid authentication code'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const backupCodes = user.generateBackupCodes();
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    data: {
+      backupCodes
+    },
+    message: 'Backup codes regenerated. Previous backup codes no longer work.'
+  });
+});
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/v1/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+
+  const user = await User.findById(req.user._id)
+    .select('+password +twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+
+  if (!user.twoFactor.enabled) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'TWO_FACTOR_NOT_ENABLED',
+        message: 'Two-factor authentication is not enabled'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const requiredRoles = await getTwoFactorRequiredRoles();
+  if (requiredRoles.includes(user.role)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'FORBIDDEN',
+        message: 'Two-factor authentication is required for your role'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (!(await user.comparePassword(password)) || !user.verifyTwoFactorCode(code)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Password or authentication code is incorrect'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    data: {
+      enabled: false
+    },
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+// @desc    Get the roles that must use two-factor authentication
+// @route   GET /api/v1/auth/2fa/policy
+// @access  Private (settings:manage)
+const getTwoFactorPolicy = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      requiredRoles: await getTwoFactorRequiredRoles()
+    },
+    message: 'Two-factor policy retrieved successfully'
+  });
+});
+
+// @desc    Set the roles that must use two-factor authentication
+// @route   PUT /api/v1/auth/2fa/policy
+// @access  Private (settings:manage)
+const updateTwoFactorPolicy = asyncHandler(async (req, res) => {
+  const requiredRoles = [...new Set(req.body.requiredRoles)];
+  const previousRoles = await getTwoFactorRequiredRoles();
+
+  await Setting.setValue('twoFactor.requiredRoles', requiredRoles, req.user._id);
+
+  AuditLog.record(req, {
+    action: 'update',
+    entity: 'setting',
+    entityId: 'twoFactor.requiredRoles',
+    before: { value: previousRoles },
+    after: { value: requiredRoles }
+  });
+
+  res.json({
+    success: true,
+    data: {
+      requiredRoles
+    },
+    message: 'Two-factor policy updated successfully'
+  });
+});
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy
+};
@@ -1,11 +1,80 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const Property = require('../models/Property');
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+// Access tokens are short-lived; clients renew them with a refresh token
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+
+// How often the last-use time of a session is updated while it is in use
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Generate JWT access token for a session
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  });
+};
+
+// Start a session for a user and issue its access and refresh tokens
+const issueTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.start(user._id, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
   });
+
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken
+  };
+};
+
+// Lifetime of the token that links the two login steps when 2FA is enabled
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = '5m';
+
+// Routes a user may still reach while their role requires 2FA they haven't set up
+const TWO_FACTOR_SETUP_PATHS = ['/api/v1/auth/2fa', '/api/v1/auth/me', '/api/v1/auth/logout'];
+
+// Generate the short-lived token returned by the password step of a 2FA login
+const generateTwoFactorChallenge = (userId) => {
+  return jwt.sign({ userId, purpose: '2fa-login' }, process.env.JWT_SECRET, {
+    expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN
+  });
+};
+
+// Verify a 2FA login challenge token, returning its payload
+const verifyTwoFactorChallenge = (token) => {
+  const decoded = verifyToken(token);
+  if (decoded.purpose !== '2fa-login') {
+    throw new jwt.JsonWebTokenError('Invalid challenge token');
+  }
+  return decoded;
+};
+
+// Roles that must use two-factor authentication (set by admins)
+const getTwoFactorRequiredRoles = () => Setting.getValue('twoFactor.requiredRoles', []);
+
+// Check whether a user still has to enable 2FA required for their role
+const isTwoFactorSetupRequired = async (user) => {
+  if (user.twoFactor && user.twoFactor.enabled) return false;
+  const roles = await getTwoFactorRequiredRoles();
+  return roles.includes(user.role);
+};
+
+// Find the active session an access token belongs to
+const findActiveSession = async (decoded) => {
+  if (!decoded.sessionId) return null;
+  const session = await Session.findById(decoded.sessionId);
+  if (!session || !session.isActive() || !session.user.equals(decoded.userId)) return null;
+  return session;
+};
+
+// Record that a session was used, at most once per interval
+const touchSession = (session, req) => {
+  if (Date.now() - session.lastUsedAt.getTime() < SESSION_TOUCH_INTERVAL_MS) return;
+  Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date(), ip: req.ip } })
+    .catch(err => console.error('Error updating session:', err));
 };
 
 // Verify JWT token
@@ -59,8 +128,50 @@ const authenticate = async (req, res, next) => {
       });
     }
     
-    // Add user to request object
+    // Reject tokens issued before the last password change
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'Password was changed, please log in again'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Reject tokens of revoked or expired sessions
+    const session = await findActiveSession(decoded);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'Session has expired or been revoked'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Users whose role requires 2FA can only set it up until they have enabled it
+    const path = req.originalUrl.split('?')[0];
+    if (!TWO_FACTOR_SETUP_PATHS.some(prefix => path.startsWith(prefix)) && await isTwoFactorSetupRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'TWO_FACTOR_REQUIRED',
+          message: 'Two-factor authentication must be enabled for your account'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    touchSession(session, req);
+    await user.loadPermissions();
+    
+    // Add user and session to request object
     req.user = user;
+    req.session = session;
     next();
     
   } catch (error) {
@@ -127,6 +238,112 @@ const authorize = (...roles) => {
   };
 };
 
+// Permission middleware - check that the user's role grants at least one of the permissions
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'Authentication required'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (!permissions.some(permission => req.user.hasPermission(permission))) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Insufficient permissions'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    next();
+  };
+};
+
+// Listing middleware - only users with the permission may include soft-deleted
+// records (?includeDeleted=true); sets req.includeDeleted for the controller
+const allowIncludeDeleted = (...permissions) => {
+  const check = requirePermission(...permissions);
+  return (req, res, next) => {
+    req.includeDeleted = req.query.includeDeleted === 'true';
+    if (!req.includeDeleted) return next();
+    check(req, res, next);
+  };
+};
+
+// Listing management middleware - load the property in req.params.id and check
+// that the user may manage it; sets req.property for the controller. Runs before
+// request bodies such as image uploads are read.
+const requireListingManager = async (req, res, next) => {
+  try {
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Property not found'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!property.canBeManagedBy(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'You can only manage your own listings'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    req.property = property;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Actions that require a verified email address.
+// Configured with EMAIL_VERIFICATION_REQUIRED_FOR (comma separated, empty to disable).
+const DEFAULT_VERIFIED_EMAIL_ACTIONS = 'favorites,appointments';
+
+const getVerifiedEmailActions = () => {
+  const setting = process.env.EMAIL_VERIFICATION_REQUIRED_FOR;
+  return (setting !== undefined ? setting : DEFAULT_VERIFIED_EMAIL_ACTIONS)
+    .split(',')
+    .map(action => action.trim())
+    .filter(Boolean);
+};
+
+// Email verification middleware - block an action until the user's email is verified
+const requireVerifiedEmail = (action) => {
+  return (req, res, next) => {
+    if (req.user.emailVerified || !getVerifiedEmailActions().includes(action)) {
+      return next();
+    }
+    
+    res.status(403).json({
+      success: false,
+      error: {
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Please verify your email address to use this feature'
+      },
+      timestamp: new Date().toISOString()
+    });
+  };
+};
+
 // Optional authentication middleware (doesn't fail if no token)
 const optionalAuth = async (req, res, next) => {
   try {
@@ -148,8 +365,13 @@ const optionalAuth = async (req, res, next) => {
     // Find user
     const user = await User.findById(decoded.userId);
     
-    if (user && user.isActive) {
-      req.user = user;
+    if (user && user.isActive && !user.changedPasswordAfter(decoded.iat)) {
+      const session = await findActiveSession(decoded);
+      if (session) {
+        await user.loadPermissions();
+        req.user = user;
+        req.session = session;
+      }
     }
     
     next();
@@ -160,18 +382,19 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Admin only middleware
-const adminOnly = [authenticate, authorize('admin')];
-
-// Admin or Agent middleware
-const adminOrAgent = [authenticate, authorize('admin', 'agent')];
-
 module.exports = {
   generateToken,
   verifyToken,
+  issueTokens,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  getTwoFactorRequiredRoles,
+  isTwoFactorSetupRequired,
   authenticate,
   authorize,
-  optionalAuth,
-  adminOnly,
-  adminOrAgent
+  requirePermission,
+  allowIncludeDeleted,
+  requireListingManager,
+  requireVerifiedEmail,
+  optionalAuth
 };
\ No newline at end of file
@@ -0,0 +1,46 @@
+const { isCurrencyCode, resolveLocale, getExchangeRates } = require('../utils/currency');
+
+// Price display middleware - sets req.priceDisplay ({ locale, currency, rates })
+// from the requester's locale and the optional ?currency= conversion target
+const resolvePriceDisplay = async (req, res, next) => {
+  try {
+    const requested = req.query.currency;
+    const display = { locale: resolveLocale(req), currency: null, rates: null };
+
+    if (requested !== undefined) {
+      if (!isCurrencyCode(requested)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Currency must be an ISO 4217 currency code'
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      display.currency = requested.toUpperCase();
+      display.rates = await getExchangeRates();
+
+      if (!display.rates[display.currency]) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'UNSUPPORTED_CURRENCY',
+            message: `No exchange rate is configured for ${display.currency}`
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+
+    req.priceDisplay = display;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  resolvePriceDisplay
+};
@@ -0,0 +1,34 @@
+const multer = require('multer');
+
+const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_IMAGES_PER_UPLOAD = 10;
+
+// Only accept image MIME types; the content itself is checked again when processed
+const imageFileFilter = (req, file, cb) => {
+  if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+    const error = new Error(`Unsupported file type. Allowed types: ${ALLOWED_IMAGE_TYPES.join(', ')}`);
+    error.code = 'INVALID_FILE_TYPE';
+    error.statusCode = 400;
+    return cb(error);
+  }
+  cb(null, true);
+};
+
+// Files are kept in memory so they can be resized before reaching storage
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: imageFileFilter,
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024, // 5MB
+    files: MAX_IMAGES_PER_UPLOAD
+  }
+});
+
+// Property image upload middleware (multipart field "images")
+const uploadPropertyImages = imageUpload.array('images', MAX_IMAGES_PER_UPLOAD);
+
+module.exports = {
+  ALLOWED_IMAGE_TYPES,
+  MAX_IMAGES_PER_UPLOAD,
+  uploadPropertyImages
+};
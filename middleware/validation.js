@@ -1,4 +1,12 @@
 const { body, query, param, validationResult } = require('express-validator');
+const Role = require('../models/Role');
+const AuditLog = require('../models/AuditLog');
+const { ALL_PERMISSIONS } = require('../utils/permissions');
+const { parseBoundingBox } = require('../utils/geo');
+const { isCurrencyCode } = require('../utils/currency');
+const { decodeCursor } = require('../utils/pagination');
+const { isValidTimeZone } = require('../utils/availability');
+const { PROPERTY_SORTS, SEARCH_SORTS, isKnownSort } = require('../utils/sort');
 
 // Validation result handler
 const handleValidationErrors = (req, res, next) => {
@@ -25,6 +33,39 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Rental detail rules shared by create and update (rental is replaced as a whole)
+const rentalDetailRules = [
+  body('rental.monthlyRent')
+    .if(body('rental').exists({ values: 'null' }))
+    .isFloat({ min: 0 })
+    .withMessage('Monthly rent must be a positive number'),
+  
+  body('rental.deposit')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Deposit must be a positive number'),
+  
+  body('rental.leaseTermMonths')
+    .optional()
+    .isInt({ min: 1, max: 120 })
+    .withMessage('Lease term must be between 1 and 120 months'),
+  
+  body('rental.furnished')
+    .optional()
+    .isIn(['Unfurnished', 'Partially Furnished', 'Furnished'])
+    .withMessage('Furnished must be Unfurnished, Partially Furnished, or Furnished'),
+  
+  body('rental.petsAllowed')
+    .optional()
+    .isBoolean()
+    .withMessage('petsAllowed must be a boolean'),
+  
+  body('rental.availableFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Available from must be a valid date')
+];
+
 // Property validation rules
 const validateProperty = [
   body('name')
@@ -52,6 +93,7 @@ const validateProperty = [
     .withMessage('Location must be between 1 and 200 characters'),
   
   body('price')
+    .if((value, { req }) => req.body.type !== 'Lease Out')
     .isNumeric()
     .isFloat({ min: 0 })
     .withMessage('Price must be a positive number'),
@@ -60,6 +102,24 @@ const validateProperty = [
     .isIn(['Buy', 'Sell', 'Lease Out'])
     .withMessage('Type must be Buy, Sell, or Lease Out'),
   
+  body('rental')
+    .if((value, { req }) => req.body.type === 'Lease Out')
+    .isObject()
+    .withMessage('Rental details are required for Lease Out listings'),
+  
+  body('rental')
+    .if((value, { req }) => req.body.type !== 'Lease Out')
+    .not()
+    .exists()
+    .withMessage('Only Lease Out listings can have rental details'),
+  
+  ...rentalDetailRules,
+  
+  body('currency')
+    .optional()
+    .custom(isCurrencyCode)
+    .withMessage('Currency must be an ISO 4217 currency code'),
+  
   body('image')
     .trim()
     .isURL()
@@ -93,14 +153,19 @@ const validateProperty = [
   
   body('status')
     .optional()
-    .isIn(['Available', 'Pending', 'Sold', 'Rented', 'Off Market'])
-    .withMessage('Invalid status'),
+    .isIn(['Available', 'Pending', 'Off Market'])
+    .withMessage('New listings must be Available, Pending, or Off Market'),
   
   body('featured')
     .optional()
     .isBoolean()
     .withMessage('Featured must be a boolean'),
   
+  body('agent')
+    .optional()
+    .isMongoId()
+    .withMessage('Agent must be a valid user ID'),
+  
   handleValidationErrors
 ];
 
@@ -134,16 +199,33 @@ const validatePropertyUpdate = [
     .isIn(['Buy', 'Sell', 'Lease Out'])
     .withMessage('Type must be Buy, Sell, or Lease Out'),
   
-  body('status')
+  body('rental')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Rental details must be an object (or null to remove them)'),
+  
+  ...rentalDetailRules,
+  
+  body('currency')
     .optional()
-    .isIn(['Available', 'Pending', 'Sold', 'Rented', 'Off Market'])
-    .withMessage('Invalid status'),
+    .custom(isCurrencyCode)
+    .withMessage('Currency must be an ISO 4217 currency code'),
+  
+  body('status')
+    .not()
+    .exists()
+    .withMessage('Use POST /api/v1/properties/:id/status to change the status'),
   
   body('featured')
     .optional()
     .isBoolean()
     .withMessage('Featured must be a boolean'),
   
+  body('agent')
+    .optional()
+    .isMongoId()
+    .withMessage('Agent must be a valid user ID'),
+  
   handleValidationErrors
 ];
 
@@ -190,8 +272,34 @@ const validateContact = [
   handleValidationErrors
 ];
 
+// Sort key validation for a sort vocabulary from utils/sort
+const sortRule = (sorts) => query('sort')
+  .optional()
+  .isIn(Object.keys(sorts))
+  .withMessage(`Sort must be one of: ${Object.keys(sorts).join(', ')}`);
+
+// Cursor validation (an empty cursor starts at the first page; a cursor's
+// sort must be one of the endpoint's sorts)
+const cursorRule = (sorts) => query('cursor')
+  .optional()
+  .custom((value) => {
+    if (value === '') return true;
+    const cursor = decodeCursor(value);
+    return cursor !== null && isKnownSort(sorts, cursor);
+  })
+  .withMessage('Cursor must be a nextCursor value from a previous page');
+
+// Listing status filter (a single status; arrays and operators are rejected)
+const listingStatusRule = () => query('status')
+  .optional()
+  .isString()
+  .isIn(['Available', 'Pending', 'Sold', 'Rented', 'Off Market'])
+  .withMessage('Status must be Available, Pending, Sold, Rented, or Off Market');
+
 // Query parameter validation for properties
 const validatePropertyQuery = [
+  listingStatusRule(),
+  
   query('type')
     .optional()
     .isIn(['Buy', 'Sell', 'Lease Out'])
@@ -230,6 +338,387 @@ const validatePropertyQuery = [
     .isLength({ min: 1, max: 200 })
     .withMessage('Location search term must be between 1 and 200 characters'),
   
+  query('lat')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90')
+    .custom((value, { req }) => req.query.lng !== undefined)
+    .withMessage('Longitude is required when latitude is provided'),
+  
+  query('lng')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180')
+    .custom((value, { req }) => req.query.lat !== undefined)
+    .withMessage('Latitude is required when longitude is provided'),
+  
+  query('radiusKm')
+    .optional()
+    .isFloat({ gt: 0, max: 20000 })
+    .withMessage('Radius must be a positive number of kilometers (max 20000)')
+    .custom((value, { req }) => req.query.lat !== undefined && req.query.lng !== undefined)
+    .withMessage('Radius requires latitude and longitude'),
+  
+  query('bbox')
+    .optional()
+    .custom(value => parseBoundingBox(value) !== null)
+    .withMessage('Bounding box must be "minLng,minLat,maxLng,maxLat" with valid coordinates'),
+  
+  query('priceReduced')
+    .optional()
+    .isBoolean()
+    .withMessage('priceReduced must be true or false'),
+  
+  query('minRent')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum rent must be a positive number'),
+  
+  query('maxRent')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Maximum rent must be a positive number'),
+  
+  query('furnished')
+    .optional()
+    .isIn(['Unfurnished', 'Partially Furnished', 'Furnished'])
+    .withMessage('Furnished must be Unfurnished, Partially Furnished, or Furnished'),
+  
+  query('petsAllowed')
+    .optional()
+    .isBoolean()
+    .withMessage('petsAllowed must be true or false'),
+  
+  query('moveInDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Move-in date must be a valid date'),
+  
+  query('subcategory')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Subcategory must be a comma-separated list of subcategories'),
+  
+  query(['minBedrooms', 'maxBedrooms', 'minParkingSpaces', 'maxParkingSpaces'])
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Bedroom and parking space filters must be non-negative integers'),
+  
+  query(['minBathrooms', 'maxBathrooms', 'minArea', 'maxArea'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Bathroom and area filters must be non-negative numbers'),
+  
+  query(['minYearBuilt', 'maxYearBuilt'])
+    .optional()
+    .isInt({ min: 1800, max: new Date().getFullYear() + 5 })
+    .withMessage('Year built filters must be valid years'),
+  
+  query('amenities')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Amenities must be a comma-separated list of amenities'),
+  
+  query('amenitiesMatch')
+    .optional()
+    .isIn(['any', 'all'])
+    .withMessage('amenitiesMatch must be any or all'),
+  
+  query('facets')
+    .optional()
+    .isBoolean()
+    .withMessage('facets must be true or false'),
+  
+  query('type')
+    .if((value, { req }) => ['minRent', 'maxRent', 'furnished', 'petsAllowed', 'moveInDate']
+      .some(filter => req.query[filter] !== undefined))
+    .optional()
+    .equals('Lease Out')
+    .withMessage('Rental filters only apply to Lease Out listings'),
+  
+  query('includeDeleted')
+    .optional()
+    .isBoolean()
+    .withMessage('includeDeleted must be true or false'),
+  
+  sortRule(PROPERTY_SORTS),
+  
+  query('sort')
+    .optional()
+    .custom((value, { req }) => value !== 'distance' || (req.query.lat !== undefined && req.query.lng !== undefined))
+    .withMessage('Sorting by distance requires latitude and longitude'),
+  
+  cursorRule(PROPERTY_SORTS),
+  
+  handleValidationErrors
+];
+
+// Search suggestion query validation
+const validateSuggestQuery = [
+  query('q')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Search text must be between 1 and 100 characters'),
+  
+  query('kind')
+    .optional()
+    .isIn(['location', 'neighborhood', 'name'])
+    .withMessage('Kind must be location, neighborhood, or name'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Limit must be between 1 and 20'),
+  
+  handleValidationErrors
+];
+
+// Property search validation
+const validateSearchQuery = [
+  query('q')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Search query must be between 1 and 200 characters'),
+  
+  sortRule(SEARCH_SORTS),
+  cursorRule(SEARCH_SORTS),
+  handleValidationErrors
+];
+
+// Listing status change validation
+const validatePropertyStatus = [
+  body('status')
+    .isIn(['Available', 'Pending', 'Sold', 'Rented', 'Off Market'])
+    .withMessage('Status must be Available, Pending, Sold, Rented, or Off Market'),
+  
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Reason is required and cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+// Generic pagination query validation
+const validatePagination = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  
+  handleValidationErrors
+];
+
+// Sort and cursor validation for a listing endpoint
+const validateListing = (sorts) => [
+  sortRule(sorts),
+  cursorRule(sorts),
+  handleValidationErrors
+];
+
+// Agent listings query validation
+const validateAgentListingQuery = [
+  listingStatusRule(),
+  handleValidationErrors
+];
+
+// Saved search validation (create and update)
+const savedSearchRules = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Search name must be between 1 and 100 characters'),
+  
+  body('filters')
+    .optional()
+    .isObject()
+    .withMessage('Filters must be an object'),
+  
+  body('filters.type')
+    .optional()
+    .isIn(['Buy', 'Sell', 'Lease Out'])
+    .withMessage('Type must be Buy, Sell, or Lease Out'),
+  
+  body('filters.category')
+    .optional()
+    .isIn(['Residential', 'Commercial'])
+    .withMessage('Category must be either Residential or Commercial'),
+  
+  body('filters.minPrice')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum price must be a positive number')
+    .toFloat(),
+  
+  body('filters.maxPrice')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Maximum price must be a positive number')
+    .toFloat()
+    .custom((value, { req }) => req.body.filters.minPrice === undefined || value >= req.body.filters.minPrice)
+    .withMessage('Maximum price must be greater than or equal to minimum price'),
+  
+  body('filters.location')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Location search term must be between 1 and 200 characters'),
+  
+  body('alertsEnabled')
+    .optional()
+    .isBoolean()
+    .withMessage('alertsEnabled must be a boolean')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+const validateSavedSearch = savedSearchRules(false);
+const validateSavedSearchUpdate = savedSearchRules(true);
+
+// Viewing appointment request validation
+const validateAppointmentRequest = [
+  body('propertyId')
+    .isMongoId()
+    .withMessage('Invalid property ID'),
+  
+  body('startTime')
+    .isISO8601({ strict: true })
+    .withMessage('Start time must be an ISO 8601 date'),
+  
+  body('phone')
+    .optional()
+    .trim()
+    .isMobilePhone('any', { strictMode: false })
+    .withMessage('Please provide a valid phone number'),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+// Contact to appointment conversion validation
+const validateAppointmentConversion = [
+  body('startTime')
+    .isISO8601({ strict: true })
+    .withMessage('Start time must be an ISO 8601 date'),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+// Appointment status change validation
+const validateAppointmentStatus = [
+  body('status')
+    .isIn(['confirmed', 'cancelled', 'completed', 'no-show'])
+    .withMessage('Status must be confirmed, cancelled, completed, or no-show'),
+  
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+// Appointment listing query validation
+const validateAppointmentQuery = [
+  query('status')
+    .optional()
+    .isIn(['requested', 'confirmed', 'cancelled', 'completed', 'no-show'])
+    .withMessage('Invalid status'),
+  
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be ISO 8601'),
+  
+  query('agent')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid agent ID'),
+  
+  ...validatePagination
+];
+
+// Agent availability validation
+const validateAvailability = [
+  body('availability')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Availability must be an array of weekly time windows'),
+  
+  body('availability.*.day')
+    .isIn(['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'])
+    .withMessage('Day must be a lowercase weekday name'),
+  
+  body(['availability.*.start', 'availability.*.end'])
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Times must be in HH:MM format'),
+  
+  body('availability.*.end')
+    .custom((end, { req, path }) => {
+      const index = parseInt(path.match(/\[(\d+)\]/)[1]);
+      return end > req.body.availability[index].start;
+    })
+    .withMessage('End time must be after start time'),
+  
+  body('appointmentDuration')
+    .optional()
+    .isInt({ min: 15, max: 240 })
+    .withMessage('Appointment duration must be between 15 and 240 minutes')
+    .toInt(),
+  
+  body('timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Timezone must be a valid IANA timezone name'),
+  
+  handleValidationErrors
+];
+
+// Agent availability query validation
+const validateAvailabilityQuery = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date'),
+  
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 31 })
+    .withMessage('Days must be between 1 and 31'),
+  
+  handleValidationErrors
+];
+
+// Property image reorder validation
+const validateImageOrder = [
+  body('order')
+    .isArray({ min: 1 })
+    .withMessage('Order must be a non-empty array of image IDs'),
+  
+  body('order.*')
+    .isMongoId()
+    .withMessage('Each image ID must be valid'),
+  
   handleValidationErrors
 ];
 
@@ -270,6 +759,347 @@ const validateUserRegistration = [
   handleValidationErrors
 ];
 
+// Profile update validation
+const validateProfileUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  
+  body('phone')
+    .optional()
+    .trim()
+    .isMobilePhone('any', { strictMode: false })
+    .withMessage('Please provide a valid phone number'),
+  
+  body('preferences')
+    .optional()
+    .isObject()
+    .withMessage('Preferences must be an object'),
+  
+  // Agent availability is worked out in this timezone
+  body('preferences.timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Timezone must be a valid IANA timezone name'),
+  
+  handleValidationErrors
+];
+
+// Refresh token validation
+const validateRefreshToken = [
+  body('refreshToken')
+    .isHexadecimal()
+    .isLength({ min: 96, max: 96 })
+    .withMessage('Invalid refresh token'),
+  
+  handleValidationErrors
+];
+
+// Check that a role name refers to a built-in or custom role
+const isExistingRole = async (role) => {
+  if (!(await Role.isValidRole(role))) {
+    throw new Error('Role does not exist');
+  }
+  return true;
+};
+
+// Role validation
+const validateRole = [
+  body('name')
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z][a-z0-9-]{1,49}$/)
+    .withMessage('Role name must be 2-50 lowercase letters, numbers or dashes, starting with a letter'),
+  
+  body('label')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Label must be between 2 and 100 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  
+  body('permissions')
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  
+  body('permissions.*')
+    .isIn(ALL_PERMISSIONS)
+    .withMessage('Unknown permission'),
+  
+  handleValidationErrors
+];
+
+// Role update validation
+const validateRoleUpdate = [
+  body('label')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Label must be between 2 and 100 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  
+  body('permissions.*')
+    .isIn(ALL_PERMISSIONS)
+    .withMessage('Unknown permission'),
+  
+  handleValidationErrors
+];
+
+// Role name parameter validation
+const validateRoleName = [
+  param('name')
+    .matches(/^[a-z][a-z0-9-]{1,49}$/)
+    .withMessage('Invalid role name'),
+  
+  handleValidationErrors
+];
+
+// Role assignment validation
+const validateRoleAssignment = [
+  body('role')
+    .isString()
+    .trim()
+    .custom(isExistingRole),
+  
+  handleValidationErrors
+];
+
+// Two-factor code (6 digit TOTP code or a backup code)
+const twoFactorCode = () => body('code')
+  .trim()
+  .matches(/^(\d{6}|[0-9a-fA-F]{5}-[0-9a-fA-F]{5})$/)
+  .withMessage('Code must be a 6 digit authentication code or a backup code');
+
+// Two-factor code validation
+const validateTwoFactorCode = [
+  twoFactorCode(),
+  
+  handleValidationErrors
+];
+
+// Two-factor login step validation
+const validateTwoFactorLogin = [
+  body('challengeToken')
+    .isJWT()
+    .withMessage('Invalid challenge token'),
+  
+  twoFactorCode(),
+  
+  handleValidationErrors
+];
+
+// Disable two-factor validation
+const validateTwoFactorDisable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  
+  twoFactorCode(),
+  
+  handleValidationErrors
+];
+
+// Two-factor policy validation
+const validateTwoFactorPolicy = [
+  body('requiredRoles')
+    .isArray()
+    .withMessage('Required roles must be an array'),
+  
+  body('requiredRoles.*')
+    .isString()
+    .custom(isExistingRole),
+  
+  handleValidationErrors
+];
+
+// Admin setup validation
+const validateAdminSetup = [
+  body('setupToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Setup token is required'),
+  
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  
+  body('email')
+    .trim()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  
+  handleValidationErrors
+];
+
+// Invite validation
+const validateInvite = [
+  body('email')
+    .trim()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  
+  body('role')
+    .optional()
+    .isString()
+    .trim()
+    .custom(isExistingRole),
+  
+  handleValidationErrors
+];
+
+// Invite query validation
+const validateInviteQuery = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'accepted', 'revoked', 'expired'])
+    .withMessage('Status must be pending, accepted, revoked, or expired'),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  
+  handleValidationErrors
+];
+
+// Audit log query validation
+const validateAuditQuery = [
+  query('actor')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid actor ID'),
+  
+  query('entity')
+    .optional()
+    .isIn(AuditLog.getEntities())
+    .withMessage(`Entity must be one of: ${AuditLog.getEntities().join(', ')}`),
+  
+  query(['entityId', 'action'])
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Filter values must be between 1 and 100 characters'),
+  
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be ISO 8601'),
+  
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('Format must be json or csv'),
+  
+  ...validatePagination
+];
+
+// Exchange-rate table validation ({ "rates": { "EUR": 0.92, ... } } per 1 USD)
+const validateExchangeRates = [
+  body('rates')
+    .isObject()
+    .withMessage('Rates must be an object of currency codes to rates')
+    .custom(rates => Object.entries(rates).every(([code, rate]) =>
+      isCurrencyCode(code) && typeof rate === 'number' && rate > 0))
+    .withMessage('Each rate must use an ISO 4217 currency code and a positive number'),
+  
+  handleValidationErrors
+];
+
+// Invite acceptance validation
+const validateInviteAcceptance = [
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid invite token'),
+  
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  
+  handleValidationErrors
+];
+
+// Forgot password validation
+const validateForgotPassword = [
+  body('email')
+    .trim()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  
+  handleValidationErrors
+];
+
+// Reset password validation
+const validateResetPassword = [
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid reset token'),
+  
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  
+  handleValidationErrors
+];
+
+// Email verification validation
+const validateEmailVerification = [
+  query('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid verification token'),
+  
+  handleValidationErrors
+];
+
 // User login validation
 const validateUserLogin = [
   body('email')
@@ -323,10 +1153,44 @@ module.exports = {
   handleValidationErrors,
   validateProperty,
   validatePropertyUpdate,
+  validatePropertyStatus,
   validateContact,
   validatePropertyQuery,
+  validateSuggestQuery,
+  validateSearchQuery,
+  validateImageOrder,
+  validateAppointmentRequest,
+  validateAppointmentConversion,
+  validateAppointmentStatus,
+  validateAppointmentQuery,
+  validateAvailability,
+  validateAvailabilityQuery,
+  validateSavedSearch,
+  validateSavedSearchUpdate,
+  validatePagination,
+  validateListing,
+  validateAgentListingQuery,
   validateObjectId,
   validateUserRegistration,
   validateUserLogin,
+  validateProfileUpdate,
+  validateRefreshToken,
+  validateAdminSetup,
+  validateInvite,
+  validateInviteQuery,
+  validateInviteAcceptance,
+  validateAuditQuery,
+  validateExchangeRates,
+  validateRole,
+  validateRoleUpdate,
+  validateRoleName,
+  validateRoleAssignment,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
+  validateTwoFactorPolicy,
+  validateForgotPassword,
+  validateResetPassword,
+  validateEmailVerification,
   validateService
 };
\ No newline at end of file
@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+
+// Allowed status transitions
+const STATUS_TRANSITIONS = {
+  requested: ['confirmed', 'cancelled'],
+  confirmed: ['cancelled', 'completed', 'no-show'],
+  cancelled: [],
+  completed: [],
+  'no-show': []
+};
+
+// Statuses that hold the agent's time slot
+const ACTIVE_STATUSES = ['requested', 'confirmed'];
+
+const statusChangeSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const appointmentSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: [true, 'Property is required']
+  },
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Agent is required']
+  },
+  // Registered user who requested the viewing (absent for converted contacts)
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  requesterName: {
+    type: String,
+    required: [true, 'Requester name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  requesterEmail: {
+    type: String,
+    required: [true, 'Requester email is required'],
+    lowercase: true,
+    trim: true
+  },
+  requesterPhone: {
+    type: String,
+    trim: true
+  },
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact'
+  },
+  startTime: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endTime: {
+    type: Date,
+    required: [true, 'End time is required']
+  },
+  status: {
+    type: String,
+    enum: Object.keys(STATUS_TRANSITIONS),
+    default: 'requested'
+  },
+  statusHistory: [statusChangeSchema],
+  // Whether the appointment holds its time slot (set from the status on save)
+  holdsSlot: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+appointmentSchema.index({ agent: 1, status: 1, startTime: 1 });
+appointmentSchema.index({ requester: 1, startTime: -1 });
+appointmentSchema.index({ property: 1, startTime: 1 });
+appointmentSchema.index({ contact: 1 });
+appointmentSchema.index({ requester: 1, status: 1, startTime: 1 });
+// One slot-holding appointment per agent and start time, so concurrent
+// requests for the same slot can't both be booked
+appointmentSchema.index({ agent: 1, startTime: 1 }, { unique: true, partialFilterExpression: { holdsSlot: true } });
+
+// Pre-save middleware to record the initial status and whether the slot is held
+appointmentSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, changedBy: this.requester });
+  }
+  this.holdsSlot = ACTIVE_STATUSES.includes(this.status);
+  next();
+});
+
+// Static method to get allowed status transitions
+appointmentSchema.statics.getStatusTransitions = function() {
+  return STATUS_TRANSITIONS;
+};
+
+// Static method to find active appointments of an agent overlapping a time range
+appointmentSchema.statics.findConflicts = function(agentId, startTime, endTime, excludeId) {
+  const query = {
+    agent: agentId,
+    status: { $in: ACTIVE_STATUSES },
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime }
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+  return this.find(query);
+};
+
+// Static method to get the booked time ranges of an agent within a period
+appointmentSchema.statics.getBookedSlots = function(agentId, from, to) {
+  return this.find({
+    agent: agentId,
+    status: { $in: ACTIVE_STATUSES },
+    startTime: { $lt: to },
+    endTime: { $gt: from }
+  }).select('startTime endTime');
+};
+
+// Static method to count a user's upcoming requests that are still waiting for confirmation
+appointmentSchema.statics.countOpenRequests = function(requesterId) {
+  return this.countDocuments({
+    requester: requesterId,
+    status: 'requested',
+    startTime: { $gt: new Date() }
+  });
+};
+
+// Static method to set holdsSlot on appointments created before it existed
+appointmentSchema.statics.backfillHoldsSlot = async function() {
+  const result = await this.updateMany(
+    { holdsSlot: { $exists: false } },
+    [{ $set: { holdsSlot: { $in: ['$status', ACTIVE_STATUSES] } } }]
+  );
+  return result.modifiedCount;
+};
+
+// Instance method to check whether a status change is allowed
+appointmentSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Instance method to change status, recording who changed it and why
+appointmentSchema.methods.transitionTo = function(status, changedBy, reason) {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Cannot change appointment status from ${this.status} to ${status}`);
+  }
+  this.status = status;
+  this.statusHistory.push({ status, changedBy, reason });
+  return this.save();
+};
+
+// Instance method to check whether a user is the agent side of the appointment
+// (or may manage every appointment)
+appointmentSchema.methods.isManagedBy = function(user) {
+  return user.hasPermission('appointment:manage') || this.agent.equals(user._id);
+};
+
+// Instance method to check whether a user may see the appointment
+appointmentSchema.methods.isVisibleTo = function(user) {
+  return this.isManagedBy(user) || (!!this.requester && this.requester.equals(user._id));
+};
+
+module.exports = mongoose.model('Appointment', appointmentSchema);
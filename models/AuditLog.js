@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+
+// Kinds of records whose changes are audited
+const AUDIT_ENTITIES = ['property', 'service', 'contact', 'appointment', 'user', 'invite', 'role', 'setting'];
+
+// Bookkeeping fields left out of diffs
+const IGNORED_FIELDS = ['_id', 'id', '__v', 'createdAt', 'updatedAt'];
+
+// Secrets whose values never go into the audit log (only that they changed)
+const REDACTED_FIELDS = [
+  'password',
+  'resetPasswordToken',
+  'emailVerificationToken',
+  'tokenHash',
+  'twoFactor'
+];
+
+// One entry per write made through the staff endpoints. Entries are never
+// updated; the diff lists every changed field with its old and new value.
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true
+  },
+  entity: {
+    type: String,
+    required: [true, 'Entity is required'],
+    enum: AUDIT_ENTITIES
+  },
+  entityId: {
+    type: String,
+    required: [true, 'Entity ID is required']
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+
+// Plain JSON copy of a document (ObjectIds and dates become strings)
+const snapshot = (doc) => {
+  if (!doc) return {};
+  const plain = typeof doc.toObject === 'function'
+    ? doc.toObject({ depopulate: true, virtuals: false, transform: false })
+    : doc;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Flatten nested objects to dot paths; arrays are compared as a whole
+const flatten = (value, prefix = '', result = {}) => {
+  for (const [key, child] of Object.entries(value)) {
+    if (!prefix && IGNORED_FIELDS.includes(key)) continue;
+
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(child) && Object.keys(child).length > 0) {
+      flatten(child, path, result);
+    } else {
+      result[path] = child;
+    }
+  }
+  return result;
+};
+
+const isRedacted = path => path.split('.').some(segment => REDACTED_FIELDS.includes(segment));
+
+// Field-by-field differences between two versions of a record. On updates,
+// paths missing from `after` are treated as not selected rather than removed.
+const diffDocuments = (before, after) => {
+  const from = flatten(snapshot(before));
+  const to = flatten(snapshot(after));
+  const paths = before && after ? Object.keys(to) : [...new Set([...Object.keys(from), ...Object.keys(to)])];
+
+  return paths
+    .filter(path => JSON.stringify(from[path]) !== JSON.stringify(to[path]))
+    .map(path => (isRedacted(path)
+      ? { field: path, from: '[redacted]', to: '[redacted]' }
+      : { field: path, from: from[path], to: to[path] }));
+};
+
+// Static method to record a write made during a request. Pass `before` and/or
+// `after` (documents or plain objects); updates without changes are skipped.
+// Never throws, so a failed audit write can't fail the request.
+auditLogSchema.statics.record = async function(req, { action, entity, entityId, before, after }) {
+  try {
+    const changes = diffDocuments(before, after);
+    if (before && after && changes.length === 0) return null;
+
+    return await this.create({
+      actor: req.user ? req.user._id : undefined,
+      actorEmail: req.user ? req.user.email : undefined,
+      action,
+      entity,
+      entityId: String(entityId),
+      changes,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  } catch (error) {
+    console.error('Error recording audit log:', error);
+    return null;
+  }
+};
+
+// Static method to build the query for audit log filters
+auditLogSchema.statics.buildQuery = function({ actor, entity, entityId, action, from, to } = {}) {
+  const query = {};
+
+  if (actor) query.actor = actor;
+  if (entity) query.entity = entity;
+  if (entityId) query.entityId = entityId;
+  if (action) query.action = action;
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+
+  return query;
+};
+
+// Static method to get the audited entity names
+auditLogSchema.statics.getEntities = function() {
+  return AUDIT_ENTITIES;
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
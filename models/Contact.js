@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('../utils/softDelete');
 
 const contactSchema = new mongoose.Schema({
   name: {
@@ -90,6 +91,10 @@ const contactSchema = new mongoose.Schema({
   responseDate: {
     type: Date
   },
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
   tags: [{
     type: String,
     trim: true,
@@ -101,6 +106,9 @@ const contactSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Deleted records are kept (hidden) until the purge job removes them
+contactSchema.plugin(softDelete);
+
 // Indexes for better query performance
 contactSchema.index({ email: 1 });
 contactSchema.index({ status: 1, createdAt: -1 });
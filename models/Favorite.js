@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const favoriteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: [true, 'Property is required']
+  },
+  // Snapshot of the listing when it was saved, used to flag changes
+  priceAtSave: {
+    type: Number,
+    min: 0
+  },
+  statusAtSave: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+favoriteSchema.index({ user: 1, property: 1 }, { unique: true });
+favoriteSchema.index({ user: 1, createdAt: -1 });
+favoriteSchema.index({ property: 1 });
+
+// Instance method to describe what changed on the property since it was saved.
+// Expects `property` to be populated.
+favoriteSchema.methods.getChanges = function() {
+  const property = this.property;
+  if (!property) {
+    return { priceChanged: false, statusChanged: false, propertyRemoved: true };
+  }
+
+  const priceChanged = this.priceAtSave !== undefined && property.price !== this.priceAtSave;
+  const statusChanged = !!this.statusAtSave && property.status !== this.statusAtSave;
+
+  return {
+    priceChanged,
+    statusChanged,
+    propertyRemoved: false,
+    ...(priceChanged && {
+      previousPrice: this.priceAtSave,
+      currentPrice: property.price,
+      priceDifference: property.price - this.priceAtSave
+    }),
+    ...(statusChanged && {
+      previousStatus: this.statusAtSave,
+      currentStatus: property.status
+    })
+  };
+};
+
+module.exports = mongoose.model('Favorite', favoriteSchema);
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+require('./Role');
+
+// Invites stay valid for this many days
+const INVITE_TTL_DAYS = parseInt(process.env.INVITE_EXPIRES_DAYS) || 7;
+
+// An admin invites someone by email; the invitee picks their own password
+const inviteSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [
+      /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+      'Please provide a valid email address'
+    ]
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  role: {
+    type: String,
+    default: 'admin',
+    trim: true,
+    validate: {
+      validator: role => mongoose.model('Role').isValidRole(role),
+      message: 'Role does not exist'
+    }
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.tokenHash;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+inviteSchema.index({ tokenHash: 1 });
+inviteSchema.index({ email: 1, createdAt: -1 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Virtual for the invite status
+inviteSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+});
+
+// Query for invites that can still be accepted
+const pendingQuery = () => ({
+  acceptedAt: { $exists: false },
+  revokedAt: { $exists: false },
+  expiresAt: { $gt: new Date() }
+});
+
+// Static method to create an invite, replacing pending invites for the same email.
+// Returns the invite and its raw token (only a hash is stored).
+inviteSchema.statics.issue = async function({ email, name, role, invitedBy }) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await this.updateMany(
+    { email: email.toLowerCase().trim(), ...pendingQuery() },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  const invite = await this.create({
+    email,
+    name,
+    role,
+    invitedBy,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return { invite, token };
+};
+
+// Static method to find a pending invite by its raw token
+inviteSchema.statics.findPendingByToken = function(token) {
+  return this.findOne({ tokenHash: hashToken(token), ...pendingQuery() });
+};
+
+// Static method to build the query for invites with a status
+inviteSchema.statics.statusQuery = function(status) {
+  const now = new Date();
+  switch (status) {
+    case 'pending':
+      return pendingQuery();
+    case 'accepted':
+      return { acceptedAt: { $exists: true } };
+    case 'revoked':
+      return { revokedAt: { $exists: true }, acceptedAt: { $exists: false } };
+    case 'expired':
+      return { acceptedAt: { $exists: false }, revokedAt: { $exists: false }, expiresAt: { $lte: now } };
+    default:
+      return {};
+  }
+};
+
+// Static method to get the invite lifetime in days
+inviteSchema.statics.getTtlDays = function() {
+  return INVITE_TTL_DAYS;
+};
+
+module.exports = mongoose.model('Invite', inviteSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Outgoing notifications waiting for (or recorded after) delivery.
+// Email messages are delivered by utils/mailer, which tracks attempts here;
+// other channels stay queued until a provider is configured.
+const outboxMessageSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: ['email', 'sms'],
+    required: [true, 'Channel is required']
+  },
+  to: {
+    type: String,
+    required: [true, 'Recipient is required'],
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  template: {
+    type: String,
+    required: [true, 'Template is required'],
+    trim: true
+  },
+  subject: {
+    type: String,
+    trim: true
+  },
+  text: {
+    type: String
+  },
+  html: {
+    type: String
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  sentAt: {
+    type: Date
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: {
+    type: String
+  },
+  transport: {
+    type: String
+  },
+  providerMessageId: {
+    type: String
+  },
+  // Set when the body was cleared after delivery (templates with one-time links)
+  bodyClearedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Sent messages are kept this long, then removed by MongoDB
+const RETENTION_DAYS = parseInt(process.env.MAIL_OUTBOX_RETENTION_DAYS) || 30;
+
+// Indexes
+outboxMessageSchema.index({ channel: 1, status: 1, nextAttemptAt: 1 });
+outboxMessageSchema.index({ user: 1, createdAt: -1 });
+outboxMessageSchema.index({ sentAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('OutboxMessage', outboxMessageSchema);
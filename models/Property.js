@@ -1,4 +1,21 @@
 const mongoose = require('mongoose');
+const { toGeoPoint } = require('../utils/geo');
+const {
+  BASE_CURRENCY,
+  DEFAULT_LOCALE,
+  isCurrencyCode,
+  currencyForCountry,
+  formatPrice,
+  pricePeriodFor,
+  getExchangeRates,
+  convertPrice
+} = require('../utils/currency');
+const softDelete = require('../utils/softDelete');
+const { scheduleSuggestionRefresh } = require('../utils/suggestionIndex');
+const { AGENT_ROLE } = require('../utils/permissions');
+
+// Fields shown in search suggestions (changing them refreshes the index)
+const SUGGESTION_FIELDS = ['name', 'location', 'address', 'status', 'deletedAt'];
 
 const addressSchema = new mongoose.Schema({
   street: {
@@ -11,6 +28,10 @@ const addressSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  neighborhood: {
+    type: String,
+    trim: true
+  },
   state: {
     type: String,
     required: true,
@@ -79,33 +100,162 @@ const featuresSchema = new mongoose.Schema({
   }
 });
 
-const agentSchema = new mongoose.Schema({
-  id: {
+// How furnished a rental is
+const FURNISHED_STATES = ['Unfurnished', 'Partially Furnished', 'Furnished'];
+
+// Lease terms of Lease Out listings (their price is the monthly rent)
+const rentalSchema = new mongoose.Schema({
+  monthlyRent: {
     type: Number,
-    required: true
+    required: [true, 'Monthly rent is required'],
+    min: [0, 'Monthly rent must be a positive number']
   },
-  name: {
-    type: String,
-    required: true,
-    trim: true
+  deposit: {
+    type: Number,
+    min: [0, 'Deposit must be a positive number'],
+    default: 0
+  },
+  leaseTermMonths: {
+    type: Number,
+    min: [1, 'Lease term must be at least 1 month'],
+    max: [120, 'Lease term cannot be longer than 120 months']
   },
-  email: {
+  furnished: {
     type: String,
-    required: true,
-    lowercase: true,
-    trim: true
+    enum: {
+      values: FURNISHED_STATES,
+      message: 'Furnished must be Unfurnished, Partially Furnished, or Furnished'
+    },
+    default: 'Unfurnished'
+  },
+  petsAllowed: {
+    type: Boolean,
+    default: false
   },
-  phone: {
+  // Move-in date (available now if not set)
+  availableFrom: {
+    type: Date
+  }
+}, { _id: false });
+
+const imageVariantSchema = new mongoose.Schema({
+  key: {
     type: String,
-    required: true,
-    trim: true
+    required: true
   },
-  photo: {
+  url: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+const galleryImageSchema = new mongoose.Schema({
+  originalName: {
     type: String,
     trim: true
+  },
+  mimeType: {
+    type: String
+  },
+  size: {
+    type: Number,
+    min: 0
+  },
+  width: {
+    type: Number
+  },
+  height: {
+    type: Number
+  },
+  variants: {
+    original: imageVariantSchema,
+    medium: imageVariantSchema,
+    thumbnail: imageVariantSchema
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  isCover: {
+    type: Boolean,
+    default: false
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
+}, {
+  timestamps: { createdAt: 'uploadedAt', updatedAt: false }
 });
 
+// Allowed listing status transitions. Sold is only reachable from Pending;
+// see canTransitionTo() for the listing type rules.
+const STATUS_TRANSITIONS = {
+  Available: ['Pending', 'Rented', 'Off Market'],
+  Pending: ['Available', 'Sold', 'Rented', 'Off Market'],
+  Sold: [],
+  Rented: ['Available', 'Off Market'],
+  'Off Market': ['Available']
+};
+
+// Square feet in a square meter (for pricePerSqft)
+const SQFT_PER_SQM = 10.7639;
+
+// Lower bounds of the price buckets counted by getFacets() (in BASE_CURRENCY)
+const PRICE_BUCKET_BOUNDARIES = [0, 250000, 500000, 1000000, 2500000, 5000000];
+
+// Statuses a listing may start with
+const INITIAL_STATUSES = ['Available', 'Pending', 'Off Market'];
+
+// Only Lease Out listings are rented out; only sale listings are sold
+const isStatusAllowedForType = (status, type) => {
+  if (status === 'Rented') return type === 'Lease Out';
+  if (status === 'Sold') return type !== 'Lease Out';
+  return true;
+};
+
+const statusChangeSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  previousStatus: {
+    type: String
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// One entry per price the listing has had, oldest first
+const priceChangeSchema = new mongoose.Schema({
+  price: {
+    type: Number,
+    required: true
+  },
+  previousPrice: {
+    type: Number
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
 const propertySchema = new mongoose.Schema({
   name: {
     type: String,
@@ -155,14 +305,60 @@ const propertySchema = new mongoose.Schema({
     type: addressSchema,
     required: false
   },
+  // GeoJSON point derived from address.coordinates, used for radius/bbox search
+  geo: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
   price: {
     type: Number,
     required: [true, 'Price is required'],
     min: [0, 'Price must be a positive number']
   },
+  // ISO 4217 code of price (defaults from address.country, else USD)
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: BASE_CURRENCY,
+    validate: {
+      validator: isCurrencyCode,
+      message: 'Currency must be an ISO 4217 currency code'
+    }
+  },
+  // Price converted to BASE_CURRENCY at the stored exchange rates, so listings
+  // in different currencies can be filtered, sorted and bucketed together
+  // (null while the listing currency has no rate)
+  basePrice: {
+    type: Number,
+    default: null
+  },
+  // Price in the listing currency, formatted for en-US (per month for Lease Out)
   priceFormatted: {
     type: String
   },
+  // Set by changePrice(); the full record is kept in priceHistory
+  previousPrice: {
+    type: Number
+  },
+  priceChangedAt: {
+    type: Date
+  },
+  priceReduced: {
+    type: Boolean,
+    default: false
+  },
+  priceHistory: [priceChangeSchema],
+  // Price divided by the area in square feet (kept in sync on save)
+  pricePerSqft: {
+    type: Number
+  },
   image: {
     type: String,
     required: [true, 'Main image is required'],
@@ -172,6 +368,8 @@ const propertySchema = new mongoose.Schema({
     type: String,
     trim: true
   }],
+  // Images uploaded through POST /properties/:id/images
+  gallery: [galleryImageSchema],
   type: {
     type: String,
     required: [true, 'Property type is required'],
@@ -184,30 +382,62 @@ const propertySchema = new mongoose.Schema({
     type: featuresSchema,
     required: true
   },
+  // Required for Lease Out listings and not allowed for any other type
+  rental: {
+    type: rentalSchema,
+    required: [function() {
+      return this.type === 'Lease Out';
+    }, 'Rental details are required for Lease Out listings'],
+    validate: {
+      validator: function(value) {
+        return !value || this.type === 'Lease Out';
+      },
+      message: 'Only Lease Out listings can have rental details'
+    }
+  },
   amenities: [{
     type: String,
     trim: true
   }],
   status: {
     type: String,
-    enum: ['Available', 'Pending', 'Sold', 'Rented', 'Off Market'],
-    default: 'Available'
+    enum: Object.keys(STATUS_TRANSITIONS),
+    default: 'Available',
+    validate: {
+      validator: function(value) {
+        return isStatusAllowedForType(value, this.type);
+      },
+      message: 'Only Lease Out listings can be Rented, and Lease Out listings cannot be Sold'
+    }
   },
+  // Changed through transitionTo(); oldest first
+  statusHistory: [statusChangeSchema],
   featured: {
     type: Boolean,
     default: false
   },
   agent: {
-    type: agentSchema,
-    required: false
-  },
-  agentId: {
-    type: Number,
-    required: false
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false,
+    validate: {
+      // Only checked when the agent is assigned, so listings of an agent who
+      // is later deactivated can still be saved
+      validator: async function(value) {
+        if (!value || !this.isModified('agent')) return true;
+        const agent = await mongoose.model('User').findOne({ _id: value, role: AGENT_ROLE, isActive: true });
+        return !!agent;
+      },
+      message: 'Agent must be an active user with the agent role'
+    }
   },
   views: {
     type: Number,
     default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 }, {
   timestamps: true,
@@ -215,37 +445,301 @@ const propertySchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Deleted records are kept (hidden) until the purge job removes them
+propertySchema.plugin(softDelete);
+
 // Indexes for better query performance
 propertySchema.index({ category: 1, type: 1 });
 propertySchema.index({ location: 'text', name: 'text', description: 'text' });
-propertySchema.index({ price: 1 });
+propertySchema.index({ basePrice: 1 });
 propertySchema.index({ featured: -1, createdAt: -1 });
 propertySchema.index({ status: 1 });
+propertySchema.index({ geo: '2dsphere' });
+propertySchema.index({ agent: 1, status: 1 });
+propertySchema.index({ createdBy: 1 });
+propertySchema.index({ priceReduced: 1, priceChangedAt: -1 });
+propertySchema.index({ status: 1, createdAt: -1 });
+propertySchema.index({ status: 1, basePrice: 1 });
+propertySchema.index({ status: 1, views: -1 });
+propertySchema.index({ status: 1, 'features.area': -1 });
+propertySchema.index({ status: 1, pricePerSqft: 1 });
+propertySchema.index({ type: 1, 'rental.monthlyRent': 1 });
+propertySchema.index({ subcategory: 1 });
+propertySchema.index({ 'features.bedrooms': 1 });
+propertySchema.index({ amenities: 1 });
+
+// Derive the GeoJSON point from an address object (null if it has no coordinates)
+const geoFromAddress = (address) => {
+  const coordinates = address && address.coordinates;
+  if (!coordinates || coordinates.latitude == null || coordinates.longitude == null) {
+    return null;
+  }
+  return toGeoPoint(coordinates.latitude, coordinates.longitude);
+};
+
+// Price per square foot for a price and features (undefined without an area)
+const pricePerSqftOf = (price, features) => {
+  if (price == null || !features || !features.area) return undefined;
+  const sqft = features.areaUnit === 'sqm' ? features.area * SQFT_PER_SQM : features.area;
+  return Math.round((price / sqft) * 100) / 100;
+};
 
 // Virtual for formatted price
 propertySchema.virtual('formattedPrice').get(function() {
-  return new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: 'USD'
-  }).format(this.price);
+  return formatPrice(this.price, this.currency || BASE_CURRENCY, DEFAULT_LOCALE, pricePeriodFor(this.type));
+});
+
+// Pre-validate middleware to pick the currency from the country of new listings
+propertySchema.pre('validate', function(next) {
+  if (this.isNew && this.$isDefault('currency')) {
+    this.currency = currencyForCountry(this.address && this.address.country) || BASE_CURRENCY;
+  }
+  next();
+});
+
+// Pre-validate middleware to price new Lease Out listings by their monthly rent
+// (updates go through changePrice so the change is recorded)
+propertySchema.pre('validate', function(next) {
+  if (this.isNew && this.type === 'Lease Out' && this.rental && this.rental.monthlyRent != null) {
+    this.price = this.rental.monthlyRent;
+  }
+  next();
 });
 
 // Pre-save middleware to format price
 propertySchema.pre('save', function(next) {
   if (this.price) {
-    this.priceFormatted = new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD'
-    }).format(this.price);
+    this.priceFormatted = formatPrice(this.price, this.currency || BASE_CURRENCY, DEFAULT_LOCALE, pricePeriodFor(this.type));
+  }
+  next();
+});
+
+// Pre-save middleware to keep the base-currency price in sync
+propertySchema.pre('save', async function() {
+  if (this.isNew || this.isModified('price') || this.isModified('currency')) {
+    this.basePrice = convertPrice(this.price, this.currency || BASE_CURRENCY, BASE_CURRENCY, await getExchangeRates());
+  }
+});
+
+// Pre-save middleware to keep the price per square foot in sync
+propertySchema.pre('save', function(next) {
+  this.pricePerSqft = pricePerSqftOf(this.price, this.features);
+  next();
+});
+
+// Pre-save middleware to start the status timeline with the initial status
+propertySchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, changedBy: this.createdBy });
+  }
+  next();
+});
+
+// Pre-save middleware to start the price history with the listing price
+propertySchema.pre('save', function(next) {
+  if (this.isNew && this.priceHistory.length === 0 && this.price != null) {
+    this.priceHistory.push({ price: this.price, changedBy: this.createdBy });
   }
   next();
 });
 
+// Pre-save middleware to keep the geo point in sync with the address
+propertySchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('address')) {
+    this.geo = geoFromAddress(this.address) || undefined;
+  }
+  next();
+});
+
+// Pre-save middleware to note changes that affect search suggestions
+propertySchema.pre('save', function(next) {
+  this.$locals.suggestionsChanged = this.isNew || SUGGESTION_FIELDS.some(field => this.isModified(field));
+  next();
+});
+
+// Post-save middleware to refresh search suggestions after relevant changes
+propertySchema.post('save', function(doc) {
+  if (doc.$locals.suggestionsChanged) scheduleSuggestionRefresh();
+});
+
+// Pre-insertMany middleware to set the geo point and price per square foot
+// on bulk inserts (e.g. seeding)
+propertySchema.pre('insertMany', function(next, docs) {
+  if (Array.isArray(docs)) {
+    docs.forEach(doc => {
+      const geo = geoFromAddress(doc.address);
+      if (geo) doc.geo = geo;
+      doc.pricePerSqft = pricePerSqftOf(doc.price, doc.features);
+    });
+  }
+  next();
+});
+
+// Pre-update middleware to keep the geo point in sync when the address is replaced
+propertySchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate() || {};
+  const address = update.address || (update.$set && update.$set.address);
+
+  if (address !== undefined) {
+    const geo = geoFromAddress(address);
+    if (geo) {
+      this.set('geo', geo);
+    } else {
+      this.setUpdate({ ...update, $unset: { ...update.$unset, geo: 1 } });
+    }
+  }
+  next();
+});
+
+// Static method to backfill geo points from address coordinates
+propertySchema.statics.backfillGeo = async function() {
+  const properties = await this.find({
+    geo: { $exists: false },
+    'address.coordinates.latitude': { $exists: true },
+    'address.coordinates.longitude': { $exists: true }
+  }).select('address');
+
+  for (const property of properties) {
+    await this.updateOne(
+      { _id: property._id },
+      { $set: { geo: geoFromAddress(property.address) } }
+    );
+  }
+
+  return properties.length;
+};
+
+// Static method to add rental details to Lease Out listings created before
+// they existed (the monthly rent is taken from the price)
+propertySchema.statics.backfillRental = async function() {
+  const result = await this.updateMany(
+    { type: 'Lease Out', rental: { $exists: false } },
+    [{
+      $set: {
+        rental: {
+          monthlyRent: '$price',
+          deposit: 0,
+          furnished: 'Unfurnished',
+          petsAllowed: false
+        }
+      }
+    }]
+  );
+
+  return result.modifiedCount;
+};
+
+// Static method to count listings per subcategory, bedroom count, amenity and
+// price bucket. `stages` are the pipeline stages that select the listings.
+propertySchema.statics.getFacets = async function(stages, { withDeleted } = {}) {
+  const count = field => [
+    { $group: { _id: field, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } }
+  ];
+  const lastBoundary = PRICE_BUCKET_BOUNDARIES[PRICE_BUCKET_BOUNDARIES.length - 1];
+
+  const [result] = await this.aggregate([
+    ...stages,
+    {
+      $facet: {
+        subcategories: count('$subcategory'),
+        bedrooms: [
+          { $group: { _id: '$features.bedrooms', count: { $sum: 1 } } },
+          { $sort: { _id: 1 } }
+        ],
+        amenities: [{ $unwind: '$amenities' }, ...count('$amenities')],
+        priceBuckets: [{
+          $bucket: {
+            groupBy: '$basePrice',
+            boundaries: [...PRICE_BUCKET_BOUNDARIES, Infinity],
+            default: 'other',
+            output: { count: { $sum: 1 } }
+          }
+        }]
+      }
+    }
+  ]).option({ withDeleted });
+
+  const toCounts = entries => entries.map(entry => ({ value: entry._id, count: entry.count }));
+
+  return {
+    subcategories: toCounts(result.subcategories),
+    bedrooms: toCounts(result.bedrooms),
+    amenities: toCounts(result.amenities),
+    priceBuckets: PRICE_BUCKET_BOUNDARIES.map((min, index) => {
+      const bucket = result.priceBuckets.find(entry => entry._id === min);
+      return {
+        min,
+        max: min === lastBoundary ? null : PRICE_BUCKET_BOUNDARIES[index + 1],
+        count: bucket ? bucket.count : 0
+      };
+    })
+  };
+};
+
+// Static method to recompute base-currency prices for an exchange-rate table
+// ({ EUR: 0.92, ... } per 1 BASE_CURRENCY), e.g. after the rates change
+propertySchema.statics.updateBasePrices = async function(rates) {
+  const branches = Object.entries(rates)
+    .filter(([, rate]) => rate > 0)
+    .map(([code, rate]) => ({
+      case: { $eq: [{ $ifNull: ['$currency', BASE_CURRENCY] }, code] },
+      then: { $round: [{ $divide: ['$price', rate] }, 2] }
+    }));
+  const result = await this.updateMany(
+    {},
+    [{ $set: { basePrice: { $switch: { branches, default: null } } } }]
+  );
+
+  return result.modifiedCount;
+};
+
+// Static method to set the price per square foot on listings saved before it existed
+propertySchema.statics.backfillPricePerSqft = async function() {
+  const sqft = {
+    $cond: [
+      { $eq: ['$features.areaUnit', 'sqm'] },
+      { $multiply: ['$features.area', SQFT_PER_SQM] },
+      '$features.area'
+    ]
+  };
+  const result = await this.updateMany(
+    { pricePerSqft: { $exists: false }, price: { $ne: null }, 'features.area': { $gt: 0 } },
+    [{ $set: { pricePerSqft: { $round: [{ $divide: ['$price', sqft] }, 2] } } }]
+  );
+
+  return result.modifiedCount;
+};
+
+// Populate options for the public agent card
+propertySchema.statics.agentCardPopulate = function() {
+  return {
+    path: 'agent',
+    select: 'name email phone avatar agentInfo',
+    transform: (agent) => (agent ? agent.toAgentCard() : agent)
+  };
+};
+
+// Static method to get allowed status transitions
+propertySchema.statics.getStatusTransitions = function() {
+  return STATUS_TRANSITIONS;
+};
+
+// Static method to get the statuses a new listing may have
+propertySchema.statics.getInitialStatuses = function() {
+  return INITIAL_STATUSES;
+};
+
 // Static method to get property types
 propertySchema.statics.getPropertyTypes = function() {
   return ['Buy', 'Sell', 'Lease Out'];
 };
 
+// Static method to get the furnished states of rentals
+propertySchema.statics.getFurnishedStates = function() {
+  return FURNISHED_STATES;
+};
+
 // Static method to get categories
 propertySchema.statics.getCategories = function() {
   return ['Residential', 'Commercial'];
@@ -259,6 +753,109 @@ propertySchema.statics.getSubcategories = function() {
   };
 };
 
+// Instance method to check whether a user may manage this listing.
+// property:update:any covers every listing; property:update:own only those
+// assigned to or created by the user.
+propertySchema.methods.canBeManagedBy = function(user) {
+  if (!user) return false;
+  if (user.hasPermission('property:update:any')) return true;
+  if (!user.hasPermission('property:update:own')) return false;
+
+  // Handles raw ObjectIds as well as populated documents / agent cards
+  const idOf = (value) => {
+    if (!value || value instanceof mongoose.Types.ObjectId) return value;
+    return value._id || value.id;
+  };
+  const agentId = idOf(this.agent);
+  const createdById = idOf(this.createdBy);
+
+  return (!!agentId && user._id.equals(agentId)) ||
+    (!!createdById && user._id.equals(createdById));
+};
+
+// Instance method to get gallery images in display order
+propertySchema.methods.getOrderedGallery = function() {
+  return [...this.gallery].sort((a, b) => a.order - b.order);
+};
+
+// Instance method to make a gallery image the cover (main) image
+propertySchema.methods.setCoverImage = function(imageId) {
+  const cover = this.gallery.id(imageId);
+  if (!cover) return false;
+
+  this.gallery.forEach(image => {
+    image.isCover = image._id.equals(cover._id);
+  });
+  this.image = cover.variants.medium.url;
+  return true;
+};
+
+// Instance method to reorder gallery images by a list of image IDs
+propertySchema.methods.reorderGallery = function(imageIds) {
+  const ids = imageIds.map(String);
+  const current = this.gallery.map(image => image._id.toString());
+
+  if (ids.length !== current.length || !current.every(id => ids.includes(id))) {
+    return false;
+  }
+
+  this.gallery.forEach(image => {
+    image.order = ids.indexOf(image._id.toString());
+  });
+  return true;
+};
+
+// Instance method to remove a gallery image, moving the cover if needed.
+// Returns the removed image, or null if it does not exist.
+propertySchema.methods.removeGalleryImage = function(imageId) {
+  const image = this.gallery.id(imageId);
+  if (!image) return null;
+
+  const wasCover = image.isCover;
+  this.gallery.pull(image._id);
+
+  if (wasCover) {
+    const [next] = this.getOrderedGallery();
+    if (next) {
+      this.setCoverImage(next._id);
+    } else if (this.images.length > 0) {
+      this.image = this.images[0];
+    }
+  }
+  return image;
+};
+
+// Instance method to check whether the listing may move to a status
+propertySchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status) &&
+    isStatusAllowedForType(status, this.type);
+};
+
+// Instance method to change status, recording who changed it and why
+propertySchema.methods.transitionTo = function(status, changedBy, reason) {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Cannot change listing status from ${this.status} to ${status}`);
+  }
+  this.statusHistory.push({ status, previousStatus: this.status, changedBy, reason });
+  this.status = status;
+  return this.save();
+};
+
+// Instance method to change the price and record the change.
+// Returns false (and changes nothing) if the price is the same.
+propertySchema.methods.changePrice = function(price, changedBy) {
+  const newPrice = Number(price);
+  if (newPrice === this.price) return false;
+
+  const changedAt = new Date();
+  this.priceHistory.push({ price: newPrice, previousPrice: this.price, changedAt, changedBy });
+  this.previousPrice = this.price;
+  this.priceChangedAt = changedAt;
+  this.priceReduced = newPrice < this.price;
+  this.price = newPrice;
+  return true;
+};
+
 // Instance method to increment views
 propertySchema.methods.incrementViews = function() {
   this.views += 1;
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const {
+  ALL_PERMISSIONS,
+  BUILT_IN_ROLES,
+  isPermission,
+  isBuiltInRole,
+  getDefaultPermissions
+} = require('../utils/permissions');
+
+// How long role permissions are cached in memory
+const CACHE_TTL_MS = 30 * 1000;
+
+const cache = new Map();
+
+// Custom roles, and overrides of the built-in agent/user permissions.
+// The admin role always has every permission and can't be changed.
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9-]{1,49}$/, 'Role name may only contain lowercase letters, numbers and dashes']
+  },
+  label: {
+    type: String,
+    required: [true, 'Role label is required'],
+    trim: true,
+    maxlength: [100, 'Label cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  permissions: {
+    type: [String],
+    validate: {
+      validator: permissions => permissions.every(isPermission),
+      message: 'Unknown permission'
+    }
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether this overrides a built-in role
+roleSchema.virtual('builtIn').get(function() {
+  return isBuiltInRole(this.name);
+});
+
+// Pre-save middleware to drop duplicate permissions
+roleSchema.pre('save', function(next) {
+  this.permissions = [...new Set(this.permissions)];
+  next();
+});
+
+// Static method to get the permissions of a role (cached briefly)
+roleSchema.statics.getPermissions = async function(name) {
+  if (name === 'admin') return ALL_PERMISSIONS;
+
+  const cached = cache.get(name);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const role = await this.findOne({ name }).lean();
+  const permissions = role ? role.permissions : getDefaultPermissions(name);
+  cache.set(name, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+  return permissions;
+};
+
+// Static method to check whether a role exists (built-in or custom)
+roleSchema.statics.isValidRole = async function(name) {
+  if (isBuiltInRole(name)) return true;
+  return !!(await this.exists({ name }));
+};
+
+// Static method to check that a user holds every permission of a role,
+// so they may assign it to others
+roleSchema.statics.isGrantableBy = async function(name, user) {
+  const permissions = await this.getPermissions(name);
+  return permissions.every(permission => user.hasPermission(permission));
+};
+
+// Static method to list every role, built-in roles first
+roleSchema.statics.listRoles = async function() {
+  const stored = await this.find().sort('name');
+  const storedByName = new Map(stored.map(role => [role.name, role]));
+
+  const builtIn = Object.entries(BUILT_IN_ROLES).map(([name, defaults]) => {
+    const role = name !== 'admin' && storedByName.get(name);
+    return {
+      name,
+      label: role ? role.label : defaults.label,
+      description: role ? role.description : defaults.description,
+      permissions: role ? role.permissions : defaults.permissions,
+      builtIn: true,
+      editable: name !== 'admin'
+    };
+  });
+
+  const custom = stored
+    .filter(role => !isBuiltInRole(role.name))
+    .map(role => ({
+      name: role.name,
+      label: role.label,
+      description: role.description,
+      permissions: role.permissions,
+      builtIn: false,
+      editable: true
+    }));
+
+  return [...builtIn, ...custom];
+};
+
+// Static method to forget cached permissions after a role changes
+roleSchema.statics.clearCache = function(name) {
+  if (name) {
+    cache.delete(name);
+  } else {
+    cache.clear();
+  }
+};
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const { escapeRegex } = require('../utils/textSearch');
+
+const searchFiltersSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Buy', 'Sell', 'Lease Out']
+  },
+  category: {
+    type: String,
+    enum: ['Residential', 'Commercial']
+  },
+  minPrice: {
+    type: Number,
+    min: 0
+  },
+  maxPrice: {
+    type: Number,
+    min: 0
+  },
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Location cannot exceed 200 characters']
+  }
+}, { _id: false });
+
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Search name is required'],
+    trim: true,
+    maxlength: [100, 'Search name cannot exceed 100 characters']
+  },
+  filters: {
+    type: searchFiltersSchema,
+    default: () => ({})
+  },
+  alertsEnabled: {
+    type: Boolean,
+    default: true
+  },
+  lastMatchedAt: {
+    type: Date
+  },
+  matchCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ alertsEnabled: 1, 'filters.type': 1, 'filters.category': 1 });
+
+// Instance method to check whether a property matches this search.
+// Mirrors the filters applied by GET /api/v1/properties.
+savedSearchSchema.methods.matches = function(property) {
+  if (!property || property.status !== 'Available') return false;
+
+  const filters = this.filters || {};
+
+  if (filters.type && property.type !== filters.type) return false;
+  if (filters.category && property.category !== filters.category) return false;
+  // Price bounds are in BASE_CURRENCY; a listing without a base price can't meet them
+  if ((filters.minPrice != null || filters.maxPrice != null) && property.basePrice == null) return false;
+  if (filters.minPrice != null && property.basePrice < filters.minPrice) return false;
+  if (filters.maxPrice != null && property.basePrice > filters.maxPrice) return false;
+
+  if (filters.location) {
+    const pattern = new RegExp(`(^|\\W)${escapeRegex(filters.location.trim())}`, 'i');
+    const address = property.address || {};
+    const fields = [property.location, address.city, address.neighborhood, property.name];
+    if (!fields.some(field => field && pattern.test(field))) return false;
+  }
+
+  return true;
+};
+
+// Static method to find searches with alerts on whose indexed filters fit a property.
+// Location is checked afterwards with matches().
+savedSearchSchema.statics.findAlertCandidates = function(property) {
+  return this.find({
+    alertsEnabled: true,
+    'filters.type': { $in: [null, property.type] },
+    'filters.category': { $in: [null, property.category] },
+    $and: [
+      { $or: [{ 'filters.minPrice': null }, { 'filters.minPrice': { $lte: property.basePrice } }] },
+      { $or: [{ 'filters.maxPrice': null }, { 'filters.maxPrice': { $gte: property.basePrice } }] }
+    ]
+  }).populate('user', 'name email phone isActive preferences');
+};
+
+// Instance method to convert saved filters into a GET /properties query string
+savedSearchSchema.methods.toQueryString = function() {
+  const filters = this.filters ? this.filters.toObject() : {};
+  return new URLSearchParams(
+    Object.entries(filters).filter(([, value]) => value != null && value !== '')
+  ).toString();
+};
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const {
+  normalizeText,
+  tokenize,
+  trigramsOf,
+  editDistance,
+  allowedTypos,
+  escapeRegex
+} = require('../utils/textSearch');
+
+// Kinds of suggestions, in the order they are listed for equally good matches
+const SUGGESTION_KINDS = ['location', 'neighborhood', 'name'];
+
+// Distinct words of a search checked for typos (each costs two index lookups)
+const MAX_CORRECTED_WORDS = 8;
+
+// Autocomplete entries built from the available listings: their locations
+// (the location text and city), neighborhoods and names. The index is rebuilt
+// from the listings by rebuild(), so entries are never edited directly.
+const searchSuggestionSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    required: true,
+    enum: SUGGESTION_KINDS
+  },
+  value: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  normalized: {
+    type: String,
+    required: true
+  },
+  words: [{
+    type: String
+  }],
+  trigrams: [{
+    type: String
+  }],
+  // Number of available listings with this value
+  listingCount: {
+    type: Number,
+    default: 0
+  },
+  rebuiltAt: {
+    type: Date
+  }
+});
+
+// Indexes
+searchSuggestionSchema.index({ kind: 1, normalized: 1 }, { unique: true });
+searchSuggestionSchema.index({ normalized: 1 });
+searchSuggestionSchema.index({ words: 1 });
+searchSuggestionSchema.index({ trigrams: 1 });
+
+// Suggestion values of a listing by kind
+const suggestionValuesOf = (property) => {
+  const address = property.address || {};
+  return {
+    location: [property.location, address.city],
+    neighborhood: [address.neighborhood],
+    name: [property.name]
+  };
+};
+
+// Static method to rebuild the index from the available listings
+searchSuggestionSchema.statics.rebuild = async function() {
+  const rebuiltAt = new Date();
+  const entries = new Map();
+
+  const listings = mongoose.model('Property')
+    .find({ status: 'Available' })
+    .select('name location address.city address.neighborhood')
+    .lean()
+    .cursor();
+
+  for await (const property of listings) {
+    for (const [kind, values] of Object.entries(suggestionValuesOf(property))) {
+      // Count each listing once per value (its location and city may be the same)
+      const seen = new Set();
+      for (const value of values) {
+        const normalized = normalizeText(value);
+        if (!normalized || seen.has(normalized)) continue;
+        seen.add(normalized);
+
+        const key = `${kind}:${normalized}`;
+        const entry = entries.get(key) || { kind, value: value.trim(), normalized, listingCount: 0 };
+        entry.listingCount++;
+        entries.set(key, entry);
+      }
+    }
+  }
+
+  const operations = [...entries.values()].map(entry => {
+    const words = tokenize(entry.normalized);
+    return {
+      updateOne: {
+        filter: { kind: entry.kind, normalized: entry.normalized },
+        update: {
+          $set: {
+            value: entry.value,
+            words,
+            trigrams: [...new Set(words.flatMap(trigramsOf))],
+            listingCount: entry.listingCount,
+            rebuiltAt
+          }
+        },
+        upsert: true
+      }
+    };
+  });
+
+  if (operations.length > 0) await this.bulkWrite(operations, { ordered: false });
+  const removed = await this.deleteMany({ $or: [{ rebuiltAt: { $lt: rebuiltAt } }, { rebuiltAt: null }] });
+
+  return { suggestions: operations.length, removed: removed.deletedCount };
+};
+
+// Static method to get suggestions for what a user has typed so far. Values
+// starting with the text come first, then values with a word starting with it;
+// more listings rank higher within each.
+searchSuggestionSchema.statics.suggest = async function(text, { kind, limit = 8 } = {}) {
+  const normalized = normalizeText(text);
+  if (!normalized) return [];
+
+  const prefix = new RegExp(`^${escapeRegex(normalized)}`);
+  const query = { $or: [{ normalized: prefix }, { words: prefix }] };
+  if (kind) query.kind = kind;
+
+  const candidates = await this.find(query)
+    .sort({ listingCount: -1 })
+    .limit(limit * 3)
+    .select('kind value normalized listingCount')
+    .lean();
+
+  return candidates
+    .map(candidate => ({ candidate, startsWith: candidate.normalized.startsWith(normalized) }))
+    .sort((a, b) => (b.startsWith - a.startsWith) ||
+      (b.candidate.listingCount - a.candidate.listingCount) ||
+      (SUGGESTION_KINDS.indexOf(a.candidate.kind) - SUGGESTION_KINDS.indexOf(b.candidate.kind)))
+    .slice(0, limit)
+    .map(({ candidate }) => ({
+      kind: candidate.kind,
+      value: candidate.value,
+      listingCount: candidate.listingCount
+    }));
+};
+
+// Static method to correct likely typos in a search. Words that aren't in the
+// index are replaced by the closest indexed word within allowedTypos(); only
+// the first MAX_CORRECTED_WORDS distinct words are checked.
+// Returns the corrected words and the corrections made ({ from, to }).
+searchSuggestionSchema.statics.correctWords = async function(text) {
+  const words = tokenize(text);
+  const checked = [...new Set(words)].slice(0, MAX_CORRECTED_WORDS);
+
+  const closest = await Promise.all(checked.map(async (word) => {
+    const maxTypos = allowedTypos(word);
+    if (maxTypos === 0 || await this.exists({ words: word })) return word;
+
+    // Entries sharing the most fragments with the word are the likeliest matches
+    const trigrams = trigramsOf(word);
+    const candidates = await this.aggregate([
+      { $match: { trigrams: { $in: trigrams } } },
+      { $addFields: { shared: { $size: { $setIntersection: ['$trigrams', trigrams] } } } },
+      { $sort: { shared: -1, listingCount: -1 } },
+      { $limit: 50 },
+      { $project: { words: 1 } }
+    ]);
+
+    let best = null;
+    for (const candidate of candidates) {
+      for (const candidateWord of candidate.words) {
+        const distance = editDistance(word, candidateWord, maxTypos);
+        if (distance <= maxTypos && (!best || distance < best.distance)) {
+          best = { word: candidateWord, distance };
+        }
+      }
+    }
+
+    return best ? best.word : word;
+  }));
+
+  const fixes = new Map(checked.map((word, index) => [word, closest[index]]));
+  const corrections = checked
+    .filter(word => fixes.get(word) !== word)
+    .map(word => ({ from: word, to: fixes.get(word) }));
+
+  return { words: words.map(word => fixes.get(word) || word), corrections };
+};
+
+// Static method to get the suggestion kinds
+searchSuggestionSchema.statics.getKinds = function() {
+  return SUGGESTION_KINDS;
+};
+
+module.exports = mongoose.model('SearchSuggestion', searchSuggestionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('../utils/softDelete');
 
 const serviceSchema = new mongoose.Schema({
   title: {
@@ -121,6 +122,9 @@ const serviceSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Deleted records are kept (hidden) until the purge job removes them
+serviceSchema.plugin(softDelete);
+
 // Indexes for better query performance
 serviceSchema.index({ active: 1, order: 1 });
 serviceSchema.index({ category: 1, active: 1 });
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Refresh tokens (and the session they belong to) expire after this many days
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+// Number of rotated refresh token hashes kept for reuse detection
+const MAX_PREVIOUS_TOKENS = 50;
+
+// A session is one login on one device. Its refresh token is rotated on every
+// refresh; presenting a rotated token again revokes the whole session.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  previousTokenHashes: {
+    type: [String],
+    default: []
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  device: {
+    type: String,
+    trim: true
+  },
+  ip: {
+    type: String,
+    trim: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout-all', 'password-change', 'token-reuse', 'user-inactive']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+// Short human readable description of a user agent, e.g. "Chrome on Windows"
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return userAgent ? 'Unknown device' : 'Unknown';
+  if (!browser) return system[0];
+  if (!system) return browser[0];
+  return `${browser[0]} on ${system[0]}`;
+};
+
+// Instance method to check whether the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Instance method to revoke the session
+sessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Instance method to get the summary shown in the session list
+sessionSchema.methods.toSummary = function(currentSessionId) {
+  return {
+    id: this._id,
+    device: this.device,
+    userAgent: this.userAgent,
+    ip: this.ip,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    current: !!currentSessionId && this._id.equals(currentSessionId)
+  };
+};
+
+// Static method to start a session for a user.
+// Returns the session and its raw refresh token (only a hash is stored).
+sessionSchema.statics.start = async function(userId, { ip, userAgent } = {}) {
+  const refreshToken = generateRefreshToken();
+
+  const session = await this.create({
+    user: userId,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent,
+    device: describeDevice(userAgent),
+    ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return { session, refreshToken };
+};
+
+// Static method to find the session a refresh token belongs to.
+// `reused` is true when the token has already been rotated out.
+sessionSchema.statics.findByRefreshToken = async function(refreshToken) {
+  const hash = hashToken(refreshToken);
+
+  const session = await this.findOne({ refreshTokenHash: hash });
+  if (session) {
+    return { session, reused: false };
+  }
+
+  const reusedSession = await this.findOne({ previousTokenHashes: hash });
+  return { session: reusedSession, reused: !!reusedSession };
+};
+
+// Static method to replace the refresh token of a session.
+// The update is conditional so two refreshes with the same token can't both succeed.
+sessionSchema.statics.rotate = async function(session, { ip, userAgent } = {}) {
+  const refreshToken = generateRefreshToken();
+
+  const updated = await this.findOneAndUpdate(
+    {
+      _id: session._id,
+      refreshTokenHash: session.refreshTokenHash,
+      revokedAt: { $exists: false }
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(refreshToken),
+        lastUsedAt: new Date(),
+        ip,
+        userAgent,
+        device: describeDevice(userAgent)
+      },
+      $push: {
+        previousTokenHashes: { $each: [session.refreshTokenHash], $slice: -MAX_PREVIOUS_TOKENS }
+      }
+    },
+    { new: true }
+  );
+
+  return updated ? { session: updated, refreshToken } : null;
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = function(userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Static method to list the active sessions of a user, most recently used first
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Static method to get the refresh token lifetime in days
+sessionSchema.statics.getRefreshTokenTtlDays = function() {
+  return REFRESH_TOKEN_TTL_DAYS;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
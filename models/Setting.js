@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// How long setting values are cached in memory
+const CACHE_TTL_MS = 30 * 1000;
+
+const cache = new Map();
+
+// Application settings that admins can change at runtime (key/value pairs)
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Key is required'],
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get a setting value (cached briefly), or a default when unset
+settingSchema.statics.getValue = async function(key, defaultValue) {
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const setting = await this.findOne({ key }).lean();
+  const value = setting ? setting.value : defaultValue;
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+  return value;
+};
+
+// Static method to set a setting value
+settingSchema.statics.setValue = async function(key, value, updatedBy) {
+  const setting = await this.findOneAndUpdate(
+    { key },
+    { $set: { value, updatedBy } },
+    { upsert: true, new: true, runValidators: true }
+  );
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+  return setting;
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
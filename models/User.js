@@ -1,5 +1,18 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { verifyCode, decryptSecret } = require('../utils/totp');
+const { AGENT_ROLE, getDefaultPermissions } = require('../utils/permissions');
+require('./Role');
+
+// Password reset links stay valid for this many minutes
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 30;
+
+// Number of one-time backup codes issued when 2FA is enabled
+const BACKUP_CODE_COUNT = 10;
+
+// Email verification links stay valid for this many hours
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24;
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -25,10 +38,15 @@ const userSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Name cannot exceed 100 characters']
   },
+  // Built-in (admin, agent, user) or custom role, see models/Role.js
   role: {
     type: String,
-    enum: ['admin', 'agent', 'user'],
-    default: 'user'
+    default: 'user',
+    trim: true,
+    validate: {
+      validator: role => mongoose.model('Role').isValidRole(role),
+      message: 'Role does not exist'
+    }
   },
   phone: {
     type: String,
@@ -58,6 +76,9 @@ const userSchema = new mongoose.Schema({
   resetPasswordExpires: {
     type: Date
   },
+  passwordChangedAt: {
+    type: Date
+  },
   emailVerified: {
     type: Boolean,
     default: false
@@ -65,6 +86,39 @@ const userSchema = new mongoose.Schema({
   emailVerificationToken: {
     type: String
   },
+  emailVerificationExpires: {
+    type: Date
+  },
+  emailVerificationSentAt: {
+    type: Date
+  },
+  // TOTP two-factor authentication. Secrets are stored encrypted and
+  // backup codes hashed; none of them are returned by default.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    backupCodes: {
+      type: [String],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
   preferences: {
     notifications: {
       email: {
@@ -94,6 +148,29 @@ const userSchema = new mongoose.Schema({
       linkedin: String,
       twitter: String,
       facebook: String
+    },
+    // Weekly viewing availability, as wall-clock times in preferences.timezone
+    availability: [{
+      _id: false,
+      day: {
+        type: String,
+        enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+      },
+      start: {
+        type: String,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Start time must be in HH:MM format']
+      },
+      end: {
+        type: String,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'End time must be in HH:MM format']
+      }
+    }],
+    // Length of a viewing appointment in minutes
+    appointmentDuration: {
+      type: Number,
+      min: 15,
+      max: 240,
+      default: 30
     }
   }
 }, {
@@ -105,6 +182,13 @@ const userSchema = new mongoose.Schema({
       delete ret.resetPasswordToken;
       delete ret.resetPasswordExpires;
       delete ret.emailVerificationToken;
+      delete ret.emailVerificationExpires;
+      if (ret.twoFactor) {
+        delete ret.twoFactor.secret;
+        delete ret.twoFactor.pendingSecret;
+        delete ret.twoFactor.backupCodes;
+        delete ret.twoFactor.lastUsedStep;
+      }
       return ret;
     }
   },
@@ -131,6 +215,10 @@ userSchema.pre('save', async function(next) {
     // Hash password with cost of 12
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    // Tokens issued before this moment are no longer accepted
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
     next();
   } catch (error) {
     next(error);
@@ -143,6 +231,99 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Instance method to load the permissions of the user's role
+userSchema.methods.loadPermissions = async function() {
+  this.$locals.permissions = await mongoose.model('Role').getPermissions(this.role);
+  return this.$locals.permissions;
+};
+
+// Instance method to check a permission. Uses the permissions loaded by
+// loadPermissions() (done on authentication), else the built-in role defaults.
+userSchema.methods.hasPermission = function(permission) {
+  const permissions = this.$locals.permissions || getDefaultPermissions(this.role);
+  return permissions.includes(permission);
+};
+
+// Instance method to check whether the user is a listing agent (see AGENT_ROLE)
+userSchema.methods.isListingAgent = function() {
+  return this.role === AGENT_ROLE;
+};
+
+// Instance method to check whether the password changed after a token was issued
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt || !tokenIssuedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
+// Instance method to create a single-use password reset token.
+// Only a hash is stored; the raw token is returned to be emailed.
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.resetPasswordToken = this.constructor.hashToken(token);
+  this.resetPasswordExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+  return token;
+};
+
+// Instance method to check whether a reset token was issued recently
+userSchema.methods.hasRecentResetRequest = function(withinMs) {
+  if (!this.resetPasswordExpires) return false;
+  const issuedAt = this.resetPasswordExpires.getTime() - PASSWORD_RESET_TTL_MINUTES * 60 * 1000;
+  return Date.now() - issuedAt < withinMs;
+};
+
+// Instance method to create an email verification token.
+// Only a hash is stored; the raw token is returned to be emailed.
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = this.constructor.hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+  this.emailVerificationSentAt = new Date();
+  return token;
+};
+
+// Instance method to mark the email address as verified
+userSchema.methods.markEmailVerified = function() {
+  this.emailVerified = true;
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpires = undefined;
+  return this.save({ validateBeforeSave: false });
+};
+
+// Instance method to create a new set of one-time backup codes.
+// Only hashes are stored; the raw codes are returned to be shown once.
+userSchema.methods.generateBackupCodes = function() {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+  this.twoFactor.backupCodes = codes.map(code => this.constructor.hashToken(code));
+  return codes;
+};
+
+// Instance method to check a TOTP or backup code against an enabled 2FA setup.
+// Requires twoFactor.secret, backupCodes and lastUsedStep to be selected.
+// Used codes are consumed; the caller must save the user. Returns true on success.
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  if (!this.twoFactor.enabled || !this.twoFactor.secret) return false;
+
+  const step = verifyCode(decryptSecret(this.twoFactor.secret), code);
+  if (step !== null) {
+    // Each code can only be used once
+    if (this.twoFactor.lastUsedStep !== undefined && step <= this.twoFactor.lastUsedStep) return false;
+    this.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  const hash = this.constructor.hashToken(String(code).trim().toLowerCase());
+  const backupCodes = this.twoFactor.backupCodes || [];
+  if (backupCodes.includes(hash)) {
+    this.twoFactor.backupCodes = backupCodes.filter(stored => stored !== hash);
+    return true;
+  }
+
+  return false;
+};
+
 // Instance method to increment login attempts
 userSchema.methods.incLoginAttempts = function() {
   // If we have a previous lock that has expired, restart at 1
@@ -176,6 +357,38 @@ userSchema.methods.updateLastLogin = function() {
   return this.save();
 };
 
+// Instance method to get the public agent card shown on listings
+userSchema.methods.toAgentCard = function() {
+  const agentInfo = this.agentInfo || {};
+  return {
+    id: this._id,
+    name: this.name,
+    email: this.email,
+    phone: this.phone,
+    photo: this.avatar,
+    licenseNumber: agentInfo.licenseNumber,
+    specializations: agentInfo.specializations,
+    experience: agentInfo.experience,
+    bio: agentInfo.bio,
+    socialMedia: agentInfo.socialMedia
+  };
+};
+
+// Static method to hash a token (reset/verification) for storage and lookup
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Static method to get the password reset link lifetime in minutes
+userSchema.statics.getPasswordResetTtlMinutes = function() {
+  return PASSWORD_RESET_TTL_MINUTES;
+};
+
+// Static method to get the email verification link lifetime in hours
+userSchema.statics.getEmailVerificationTtlHours = function() {
+  return EMAIL_VERIFICATION_TTL_HOURS;
+};
+
 // Static method to find by credentials
 userSchema.statics.findByCredentials = async function(email, password) {
   const user = await this.findOne({ email, isActive: true }).select('+password');
@@ -197,6 +410,11 @@ userSchema.statics.findByCredentials = async function(email, password) {
     throw new Error('Invalid credentials');
   }
   
+  // With 2FA enabled the login only completes after the second step
+  if (user.twoFactor.enabled) {
+    return user;
+  }
+  
   // Reset login attempts on successful login
   if (user.loginAttempts > 0) {
     await user.resetLoginAttempts();
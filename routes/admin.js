@@ -0,0 +1,16 @@
+const express = require('express');
+const { getAuditLogs } = require('../controllers/auditController');
+const { getRates, updateRates } = require('../controllers/exchangeRateController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validateAuditQuery, validateExchangeRates } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Audit log
+router.get('/audit', authenticate, requirePermission('audit:read'), validateAuditQuery, getAuditLogs);
+
+// Exchange rates
+router.get('/exchange-rates', authenticate, requirePermission('settings:manage'), getRates);
+router.put('/exchange-rates', authenticate, requirePermission('settings:manage'), validateExchangeRates, updateRates);
+
+module.exports = router;
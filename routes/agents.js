@@ -0,0 +1,25 @@
+const express = require('express');
+const {
+  getAgents,
+  getAgentProperties,
+  getAgentAvailability
+} = require('../controllers/agentController');
+const {
+  validateObjectId,
+  validatePagination,
+  validateListing,
+  validateAgentListingQuery,
+  validateAvailabilityQuery
+} = require('../middleware/validation');
+const { optionalAuth } = require('../middleware/auth');
+const { resolvePriceDisplay } = require('../middleware/currency');
+const { LISTING_SORTS } = require('../utils/sort');
+
+const router = express.Router();
+
+// Public routes
+router.get('/', validatePagination, getAgents);
+router.get('/:id/properties', optionalAuth, validateObjectId(), validatePagination, validateListing(LISTING_SORTS), validateAgentListingQuery, resolvePriceDisplay, getAgentProperties);
+router.get('/:id/availability', validateObjectId(), validateAvailabilityQuery, getAgentAvailability);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const {
+  requestAppointment,
+  getAppointments,
+  getAppointment,
+  updateAppointmentStatus
+} = require('../controllers/appointmentController');
+const { authenticate, requireVerifiedEmail } = require('../middleware/auth');
+const {
+  validateAppointmentRequest,
+  validateAppointmentStatus,
+  validateAppointmentQuery,
+  validateObjectId
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// All appointment routes require authentication
+router.use(authenticate);
+
+router.get('/', validateAppointmentQuery, getAppointments);
+router.post('/', requireVerifiedEmail('appointments'), validateAppointmentRequest, requestAppointment);
+router.get('/:id', validateObjectId(), getAppointment);
+router.post('/:id/status', validateObjectId(), validateAppointmentStatus, updateAppointmentStatus);
+
+module.exports = router;
@@ -5,37 +5,83 @@ const {
   getMe,
   updateProfile,
   changePassword,
+  refreshSession,
+  logout,
+  logoutAll,
+  getSessions,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
   createAdmin,
   getUsers,
   updateUserRole
 } = require('../controllers/authController');
-const { authenticate, adminOnly } = require('../middleware/auth');
+const {
+  createInvite,
+  getInvites,
+  revokeInvite,
+  acceptInvite
+} = require('../controllers/inviteController');
+const {
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole
+} = require('../controllers/roleController');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const {
   validateUserRegistration,
   validateUserLogin,
-  validateObjectId
+  validateProfileUpdate,
+  validateRefreshToken,
+  validateAdminSetup,
+  validateInvite,
+  validateInviteQuery,
+  validateInviteAcceptance,
+  validateRole,
+  validateRoleUpdate,
+  validateRoleName,
+  validateRoleAssignment,
+  validateForgotPassword,
+  validateResetPassword,
+  validateEmailVerification,
+  validateObjectId,
+  validateListing
 } = require('../middleware/validation');
 const { body } = require('express-validator');
+const { USER_SORTS } = require('../utils/sort');
+const twoFactorRoutes = require('./twoFactor');
 
 const router = express.Router();
 
 // Public routes
 router.post('/register', validateUserRegistration, register);
 router.post('/login', validateUserLogin, login);
+router.post('/refresh', validateRefreshToken, refreshSession);
+router.post('/forgot-password', validateForgotPassword, forgotPassword);
+router.post('/reset-password', validateResetPassword, resetPassword);
+router.get('/verify-email', validateEmailVerification, verifyEmail);
+
+// Two-factor authentication
+router.use('/2fa', twoFactorRoutes);
+
+// Invites
+router.post('/invites/accept', validateInviteAcceptance, acceptInvite);
 
-// Development only route
-router.post('/create-admin', [
-  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
-  body('email').trim().isEmail().normalizeEmail().withMessage('Please provide a valid email address'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long')
-], createAdmin);
+// First admin setup with ADMIN_SETUP_TOKEN (never available in production)
+if (process.env.NODE_ENV !== 'production') {
+  router.post('/create-admin', validateAdminSetup, createAdmin);
+}
 
 // Protected routes
 router.get('/me', authenticate, getMe);
-router.put('/me', authenticate, [
-  body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
-  body('phone').optional().trim().isMobilePhone('any', { strictMode: false }).withMessage('Please provide a valid phone number')
-], updateProfile);
+router.post('/logout', authenticate, logout);
+router.post('/logout-all', authenticate, logoutAll);
+router.get('/sessions', authenticate, getSessions);
+router.put('/me', authenticate, validateProfileUpdate, updateProfile);
+
+router.post('/verify-email/resend', authenticate, resendVerificationEmail);
 
 router.put('/password', authenticate, [
   body('currentPassword').isLength({ min: 1 }).withMessage('Current password is required'),
@@ -43,10 +89,20 @@ router.put('/password', authenticate, [
     .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/).withMessage('New password must contain at least one lowercase letter, one uppercase letter, and one number')
 ], changePassword);
 
-// Admin only routes
-router.get('/users', adminOnly, getUsers);
-router.put('/users/:id/role', adminOnly, validateObjectId(), [
-  body('role').isIn(['user', 'agent', 'admin']).withMessage('Role must be user, agent, or admin')
-], updateUserRole);
+// User management routes
+const canManageUsers = [authenticate, requirePermission('user:manage')];
+const canManageRoles = [authenticate, requirePermission('role:manage')];
+
+router.get('/invites', canManageUsers, validateInviteQuery, getInvites);
+router.post('/invites', canManageUsers, validateInvite, createInvite);
+router.delete('/invites/:id', canManageUsers, validateObjectId(), revokeInvite);
+router.get('/users', canManageUsers, validateListing(USER_SORTS), getUsers);
+router.put('/users/:id/role', canManageUsers, validateObjectId(), validateRoleAssignment, updateUserRole);
+
+// Roles and permissions
+router.get('/roles', canManageRoles, getRoles);
+router.post('/roles', canManageRoles, validateRole, createRole);
+router.put('/roles/:name', canManageRoles, validateRoleName, validateRoleUpdate, updateRole);
+router.delete('/roles/:name', canManageRoles, validateRoleName, deleteRole);
 
 module.exports = router;
\ No newline at end of file
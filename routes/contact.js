@@ -5,23 +5,35 @@ const {
   getContact,
   updateContact,
   deleteContact,
+  restoreContact,
   getContactStats,
   markAsContacted
 } = require('../controllers/contactController');
-const { adminOnly } = require('../middleware/auth');
-const { validateContact, validateObjectId } = require('../middleware/validation');
+const { createAppointmentFromContact } = require('../controllers/appointmentController');
+const { authenticate, requirePermission, allowIncludeDeleted } = require('../middleware/auth');
+const {
+  validateContact,
+  validateAppointmentConversion,
+  validateObjectId,
+  validateListing
+} = require('../middleware/validation');
+const { CONTACT_SORTS } = require('../utils/sort');
 
 const router = express.Router();
 
 // Public routes
 router.post('/', validateContact, submitContact);
 
-// Admin only routes
-router.get('/stats', adminOnly, getContactStats);
-router.get('/', adminOnly, getContacts);
-router.get('/:id', adminOnly, validateObjectId(), getContact);
-router.put('/:id', adminOnly, validateObjectId(), updateContact);
-router.delete('/:id', adminOnly, validateObjectId(), deleteContact);
-router.post('/:id/contacted', adminOnly, validateObjectId(), markAsContacted);
+// Protected routes (assigning a contact also requires contact:assign)
+router.get('/stats', authenticate, requirePermission('contact:read'), getContactStats);
+router.get('/', authenticate, requirePermission('contact:read'), allowIncludeDeleted('contact:delete'), validateListing(CONTACT_SORTS), getContacts);
+router.get('/:id', authenticate, requirePermission('contact:read'), validateObjectId(), getContact);
+router.put('/:id', authenticate, requirePermission('contact:update'), validateObjectId(), updateContact);
+router.delete('/:id', authenticate, requirePermission('contact:delete'), validateObjectId(), deleteContact);
+router.post('/:id/restore', authenticate, requirePermission('contact:delete'), validateObjectId(), restoreContact);
+router.post('/:id/contacted', authenticate, requirePermission('contact:update'), validateObjectId(), markAsContacted);
+
+// Viewing scheduling (users without property:update:any only for their own listings)
+router.post('/:id/appointment', authenticate, requirePermission('appointment:schedule'), validateObjectId(), validateAppointmentConversion, createAppointmentFromContact);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+const {
+  getFavorites,
+  addFavorite,
+  removeFavorite
+} = require('../controllers/favoriteController');
+const {
+  getSavedSearches,
+  getSavedSearch,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch
+} = require('../controllers/savedSearchController');
+const { updateMyAvailability } = require('../controllers/agentController');
+const { authenticate, authorize, requireVerifiedEmail } = require('../middleware/auth');
+const { AGENT_ROLE } = require('../utils/permissions');
+const {
+  validateObjectId,
+  validatePagination,
+  validateSavedSearch,
+  validateSavedSearchUpdate,
+  validateAvailability
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// All routes here act on the authenticated user
+router.use(authenticate);
+
+// Favorites
+router.get('/favorites', validatePagination, getFavorites);
+router.post('/favorites/:propertyId', requireVerifiedEmail('favorites'), validateObjectId('propertyId'), addFavorite);
+router.delete('/favorites/:propertyId', validateObjectId('propertyId'), removeFavorite);
+
+// Saved searches
+router.get('/saved-searches', getSavedSearches);
+router.post('/saved-searches', requireVerifiedEmail('saved-searches'), validateSavedSearch, createSavedSearch);
+router.get('/saved-searches/:id', validateObjectId(), getSavedSearch);
+router.put('/saved-searches/:id', validateObjectId(), validateSavedSearchUpdate, updateSavedSearch);
+router.delete('/saved-searches/:id', validateObjectId(), deleteSavedSearch);
+
+// Agent viewing availability (listing agents only, see AGENT_ROLE)
+router.put('/availability', authorize(AGENT_ROLE), validateAvailability, updateMyAvailability);
+
+module.exports = router;
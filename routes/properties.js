@@ -2,33 +2,67 @@ const express = require('express');
 const {
   getProperties,
   getProperty,
+  getPriceHistory,
   createProperty,
   updateProperty,
+  changePropertyStatus,
+  getStatusHistory,
   deleteProperty,
+  restoreProperty,
   getPropertyStats,
   searchProperties,
+  getSuggestions,
   getFeaturedProperties
 } = require('../controllers/propertyController');
-const { adminOnly } = require('../middleware/auth');
+const {
+  uploadImages,
+  reorderImages,
+  setCoverImage,
+  deleteImage
+} = require('../controllers/propertyImageController');
+const { authenticate, requirePermission, allowIncludeDeleted, requireListingManager, optionalAuth } = require('../middleware/auth');
 const {
   validateProperty,
   validatePropertyUpdate,
+  validatePropertyStatus,
   validatePropertyQuery,
-  validateObjectId
+  validateSuggestQuery,
+  validateSearchQuery,
+  validateImageOrder,
+  validateObjectId,
+  validateListing
 } = require('../middleware/validation');
+const { uploadPropertyImages } = require('../middleware/upload');
+const { resolvePriceDisplay } = require('../middleware/currency');
+const { LISTING_SORTS } = require('../utils/sort');
 
 const router = express.Router();
 
 // Public routes
-router.get('/search', searchProperties);
-router.get('/featured', getFeaturedProperties);
-router.get('/', validatePropertyQuery, getProperties);
-router.get('/:id', validateObjectId(), getProperty);
+router.get('/suggest', validateSuggestQuery, getSuggestions);
+router.get('/search', optionalAuth, validateSearchQuery, resolvePriceDisplay, searchProperties);
+router.get('/featured', optionalAuth, validateListing(LISTING_SORTS), resolvePriceDisplay, getFeaturedProperties);
+router.get('/', optionalAuth, allowIncludeDeleted('property:delete'), validatePropertyQuery, resolvePriceDisplay, getProperties);
+router.get('/:id', optionalAuth, validateObjectId(), resolvePriceDisplay, getProperty);
+router.get('/:id/price-history', optionalAuth, validateObjectId(), getPriceHistory);
+
+// Protected routes
+const canEdit = [authenticate, requirePermission('property:update:own', 'property:update:any')];
+
+router.get('/admin/stats', authenticate, requirePermission('property:stats'), getPropertyStats);
+router.delete('/:id', authenticate, requirePermission('property:delete'), validateObjectId(), deleteProperty);
+router.post('/:id/restore', authenticate, requirePermission('property:delete'), validateObjectId(), restoreProperty);
+
+// Listing management (property:update:own only covers the user's own listings)
+router.post('/', authenticate, requirePermission('property:create'), validateProperty, createProperty);
+router.put('/:id', canEdit, validateObjectId(), validatePropertyUpdate, updateProperty);
+router.post('/:id/status', canEdit, validateObjectId(), validatePropertyStatus, changePropertyStatus);
+router.get('/:id/status-history', canEdit, validateObjectId(), getStatusHistory);
 
-// Admin only routes
-router.get('/admin/stats', adminOnly, getPropertyStats);
-router.post('/', adminOnly, validateProperty, createProperty);
-router.put('/:id', adminOnly, validateObjectId(), validatePropertyUpdate, updateProperty);
-router.delete('/:id', adminOnly, validateObjectId(), deleteProperty);
+// Property images (ownership is checked before an upload is read)
+router.post('/:id/images', canEdit, validateObjectId(), requireListingManager, uploadPropertyImages, uploadImages);
+router.put('/:id/images/order', canEdit, validateObjectId(), validateImageOrder, reorderImages);
+router.put('/:id/images/:imageId/cover', canEdit, validateObjectId(), validateObjectId('imageId'), setCoverImage);
+router.delete('/:id/images/:imageId', canEdit, validateObjectId(), validateObjectId('imageId'), deleteImage);
 
 module.exports = router;
\ No newline at end of file
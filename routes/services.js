@@ -5,12 +5,13 @@ const {
   createService,
   updateService,
   deleteService,
+  restoreService,
   getServicesByCategory,
   getFeaturedServices,
   recordInquiry,
   getServiceStats
 } = require('../controllers/serviceController');
-const { adminOnly } = require('../middleware/auth');
+const { authenticate, requirePermission, allowIncludeDeleted, optionalAuth } = require('../middleware/auth');
 const { validateService, validateObjectId } = require('../middleware/validation');
 
 const router = express.Router();
@@ -18,14 +19,17 @@ const router = express.Router();
 // Public routes
 router.get('/featured', getFeaturedServices);
 router.get('/category/:category', getServicesByCategory);
-router.get('/', getServices);
+router.get('/', optionalAuth, allowIncludeDeleted('service:manage'), getServices);
 router.get('/:id', validateObjectId(), getService);
 
-// Admin only routes
-router.get('/admin/stats', adminOnly, getServiceStats);
-router.post('/', adminOnly, validateService, createService);
-router.put('/:id', adminOnly, validateObjectId(), updateService);
-router.delete('/:id', adminOnly, validateObjectId(), deleteService);
-router.post('/:id/inquiry', adminOnly, validateObjectId(), recordInquiry);
+// Protected routes
+const canManage = [authenticate, requirePermission('service:manage')];
+
+router.get('/admin/stats', canManage, getServiceStats);
+router.post('/', canManage, validateService, createService);
+router.put('/:id', canManage, validateObjectId(), updateService);
+router.delete('/:id', canManage, validateObjectId(), deleteService);
+router.post('/:id/restore', canManage, validateObjectId(), restoreService);
+router.post('/:id/inquiry', canManage, validateObjectId(), recordInquiry);
 
 module.exports = router;
\ No newline at end of file
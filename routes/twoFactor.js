@@ -0,0 +1,36 @@
+const express = require('express');
+const { verifyTwoFactorLogin } = require('../controllers/authController');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy
+} = require('../controllers/twoFactorController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
+  validateTwoFactorPolicy
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Second login step (public, uses the challenge token from /auth/login)
+router.post('/verify', validateTwoFactorLogin, verifyTwoFactorLogin);
+
+// Policy routes
+router.get('/policy', authenticate, requirePermission('settings:manage'), getTwoFactorPolicy);
+router.put('/policy', authenticate, requirePermission('settings:manage'), validateTwoFactorPolicy, updateTwoFactorPolicy);
+
+// Enrollment for the authenticated user
+router.get('/', authenticate, getTwoFactorStatus);
+router.post('/setup', authenticate, setupTwoFactor);
+router.post('/confirm', authenticate, validateTwoFactorCode, confirmTwoFactor);
+router.post('/backup-codes', authenticate, validateTwoFactorCode, regenerateBackupCodes);
+router.post('/disable', authenticate, validateTwoFactorDisable, disableTwoFactor);
+
+module.exports = router;
@@ -11,7 +11,14 @@ const propertyRoutes = require('./routes/properties');
 const contactRoutes = require('./routes/contact');
 const serviceRoutes = require('./routes/services');
 const authRoutes = require('./routes/auth');
+const agentRoutes = require('./routes/agents');
+const meRoutes = require('./routes/me');
+const appointmentRoutes = require('./routes/appointments');
+const adminRoutes = require('./routes/admin');
 const { errorHandler } = require('./middleware/errorHandler');
+const { startOutboxWorker } = require('./utils/mailer');
+const { startPurgeJob } = require('./utils/purgeDeleted');
+const { startSuggestionIndexJob } = require('./utils/suggestionIndex');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -70,6 +77,19 @@ const contactLimiter = rateLimit({
   }
 });
 
+// Password reset rate limiting
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // 5 requests per 15 minutes per IP
+  message: {
+    success: false,
+    error: {
+      code: 'RATE_LIMIT_EXCEEDED',
+      message: 'Too many password reset attempts from this IP, please try again later.'
+    }
+  }
+});
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -83,7 +103,7 @@ if (process.env.NODE_ENV !== 'test') {
 }
 
 // Static files
-app.use('/uploads', express.static('uploads'));
+app.use('/uploads', express.static(process.env.UPLOAD_PATH || 'uploads'));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -106,30 +126,55 @@ app.get('/', (req, res) => {
       properties: '/api/v1/properties',
       services: '/api/v1/services',
       contact: '/api/v1/contact',
-      auth: '/api/v1/auth'
+      agents: '/api/v1/agents',
+      appointments: '/api/v1/appointments',
+      auth: '/api/v1/auth',
+      admin: '/api/v1/admin'
     },
     endpoints: {
       'GET /api/v1/properties': 'Get all properties with filtering',
+      'GET /api/v1/properties/suggest': 'Autocomplete locations, neighborhoods and listing names',
       'GET /api/v1/properties/:id': 'Get single property',
-      'POST /api/v1/properties': 'Create property (Admin)',
-      'PUT /api/v1/properties/:id': 'Update property (Admin)',
-      'DELETE /api/v1/properties/:id': 'Delete property (Admin)',
+      'GET /api/v1/properties/:id/price-history': 'Get the price history of a property',
+      'POST /api/v1/properties': 'Create property (Admin/Agent)',
+      'PUT /api/v1/properties/:id': 'Update property (Admin/Agent)',
+      'POST /api/v1/properties/:id/status': 'Change listing status (Admin/Agent)',
+      'DELETE /api/v1/properties/:id': 'Delete property (property:delete)',
+      'POST /api/v1/properties/:id/restore': 'Restore a deleted property (property:delete)',
+      'POST /api/v1/properties/:id/images': 'Upload property images (Admin/Agent)',
       'GET /api/v1/services': 'Get all services',
+      'GET /api/v1/agents': 'Get all agents',
+      'GET /api/v1/agents/:id/properties': 'Get properties listed by an agent',
       'POST /api/v1/contact': 'Submit contact form',
-      'POST /api/v1/auth/login': 'Admin login'
-    },
-    adminCredentials: process.env.NODE_ENV === 'development' ? {
-      email: 'admin@realestate.com',
-      password: 'admin123'
-    } : 'Contact administrator'
+      'GET /api/v1/me/favorites': 'Get saved favorite properties (User)',
+      'POST /api/v1/appointments': 'Request a viewing appointment (User)',
+      'POST /api/v1/auth/login': 'Admin login',
+      'POST /api/v1/auth/refresh': 'Exchange a refresh token for new tokens',
+      'GET /api/v1/auth/sessions': 'List active sessions (User)',
+      'POST /api/v1/auth/2fa/setup': 'Start two-factor enrollment (User)',
+      'POST /api/v1/auth/2fa/verify': 'Complete a two-factor login',
+      'POST /api/v1/auth/invites': 'Invite an admin, agent or user (Admin)',
+      'POST /api/v1/auth/invites/accept': 'Accept an invite and set a password',
+      'GET /api/v1/auth/roles': 'List roles and permissions (role:manage)',
+      'GET /api/v1/admin/audit': 'Search or export the audit log (audit:read)',
+      'PUT /api/v1/admin/exchange-rates': 'Update exchange rates for price conversion (settings:manage)',
+      'POST /api/v1/auth/forgot-password': 'Request a password reset email',
+      'POST /api/v1/auth/reset-password': 'Reset password with an emailed token',
+      'GET /api/v1/auth/verify-email': 'Verify email address with an emailed token'
+    }
   });
 });
 
 // API routes
+app.use(['/api/v1/auth/forgot-password', '/api/v1/auth/reset-password'], passwordResetLimiter);
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/properties', propertyRoutes);
 app.use('/api/v1/contact', contactLimiter, contactRoutes);
 app.use('/api/v1/services', serviceRoutes);
+app.use('/api/v1/agents', agentRoutes);
+app.use('/api/v1/me', meRoutes);
+app.use('/api/v1/appointments', appointmentRoutes);
+app.use('/api/v1/admin', adminRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -156,6 +201,15 @@ const startServer = async () => {
     });
     console.log('Connected to MongoDB');
     
+    // Deliver queued emails and retry failed ones
+    startOutboxWorker();
+
+    // Permanently remove soft-deleted records after the retention period
+    startPurgeJob();
+
+    // Keep the search suggestion index in step with the listings
+    startSuggestionIndexJob();
+    
     // Start server
     const server = app.listen(PORT, '0.0.0.0', () => {
       console.log(`Real Estate API server running on port ${PORT}`);
@@ -2,6 +2,7 @@ const axios = require('axios');
 
 const BASE_URL = 'http://localhost:12000/api/v1';
 let authToken = '';
+let refreshToken = '';
 
 // Test configuration
 const testConfig = {
@@ -11,14 +12,17 @@ const testConfig = {
   }
 };
 
-// Helper function to make API requests
+// 1x1 PNG used for image upload tests
+const TEST_IMAGE_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAACXBIWXMAAAPoAAAD6AG1e1JrAAAADElEQVR4nGP4//8/AAX+Av4N70a4AAAAAElFTkSuQmCC';
+
+// Helper function to make API requests (FormData is sent as multipart)
 const apiRequest = async (method, endpoint, data = null, useAuth = false) => {
   try {
     const config = {
       method,
       url: `${BASE_URL}${endpoint}`,
       headers: {
-        'Content-Type': 'application/json',
+        ...(data instanceof FormData ? {} : { 'Content-Type': 'application/json' }),
         ...(useAuth && authToken ? { 'Authorization': `Bearer ${authToken}` } : {})
       },
       ...(data ? { data } : {})
@@ -49,13 +53,76 @@ const testAuthentication = async () => {
   const loginResult = await apiRequest('POST', '/auth/login', testConfig.adminCredentials);
   if (loginResult.success) {
     authToken = loginResult.data.data.token;
+    refreshToken = loginResult.data.data.refreshToken;
     console.log('✅ Admin login successful');
     console.log(`   Token: ${authToken.substring(0, 20)}...`);
+
+    // Test refresh token rotation
+    const refreshResult = await apiRequest('POST', '/auth/refresh', { refreshToken });
+    if (refreshResult.success) {
+      authToken = refreshResult.data.data.token;
+      console.log('✅ Token refresh successful');
+
+      const reuseResult = await apiRequest('POST', '/auth/refresh', { refreshToken });
+      console.log(!reuseResult.success ? '✅ Refresh token reuse rejected' : '❌ Refresh token reuse not rejected');
+
+      // Reuse revokes the session, so log in again
+      const reloginResult = await apiRequest('POST', '/auth/login', testConfig.adminCredentials);
+      if (reloginResult.success) {
+        authToken = reloginResult.data.data.token;
+        refreshToken = reloginResult.data.data.refreshToken;
+      }
+    } else {
+      console.log('❌ Token refresh failed');
+    }
+
+    const sessionsResult = await apiRequest('GET', '/auth/sessions', null, true);
+    console.log(sessionsResult.success ? '✅ Get sessions successful' : '❌ Get sessions failed');
+
+    const twoFactorResult = await apiRequest('GET', '/auth/2fa', null, true);
+    console.log(twoFactorResult.success ? '✅ Get 2FA status successful' : '❌ Get 2FA status failed');
+
+    const invitesResult = await apiRequest('GET', '/auth/invites', null, true);
+    console.log(invitesResult.success ? '✅ Get invites successful' : '❌ Get invites failed');
+
+    const rolesResult = await apiRequest('GET', '/auth/roles', null, true);
+    console.log(rolesResult.success ? '✅ Get roles successful' : '❌ Get roles failed');
+
+    const auditResult = await apiRequest('GET', '/admin/audit?entity=property', null, true);
+    console.log(auditResult.success ? '✅ Get audit log successful' : '❌ Get audit log failed');
+
+    const badAuditResult = await apiRequest('GET', '/admin/audit?entity=spaceship', null, true);
+    console.log(!badAuditResult.success ? '✅ Unknown audit entity rejected' : '❌ Unknown audit entity accepted');
+
+    const ratesResult = await apiRequest('PUT', '/admin/exchange-rates', { rates: { EUR: 0.92, GBP: 0.79 } }, true);
+    console.log(ratesResult.success ? '✅ Update exchange rates successful' : '❌ Update exchange rates failed');
+
+    const convertedResult = await apiRequest('GET', '/properties?currency=EUR&limit=1');
+    const converted = convertedResult.success && convertedResult.data.data.properties[0];
+    console.log(!converted || converted.convertedPrice ? '✅ Prices converted to EUR' : '❌ Prices not converted to EUR');
+
+    const unknownCurrencyResult = await apiRequest('GET', '/properties?currency=XYZ');
+    console.log(!unknownCurrencyResult.success ? '✅ Unknown currency rejected' : '❌ Unknown currency accepted');
   } else {
     console.log('❌ Admin login failed');
     console.log('   Error:', loginResult.error);
   }
   
+  // Test forgot password (same response whether or not the account exists)
+  const forgotResult = await apiRequest('POST', '/auth/forgot-password', { email: 'nobody@example.com' });
+  console.log(forgotResult.success ? '✅ Forgot password request accepted' : '❌ Forgot password request failed');
+
+  // Test reset password with an invalid token
+  const resetResult = await apiRequest('POST', '/auth/reset-password', {
+    token: '0'.repeat(64),
+    password: 'NewPassword123'
+  });
+  console.log(!resetResult.success ? '✅ Invalid reset token rejected' : '❌ Invalid reset token not rejected');
+
+  // Test email verification with an invalid token
+  const verifyResult = await apiRequest('GET', `/auth/verify-email?token=${'0'.repeat(64)}`);
+  console.log(!verifyResult.success ? '✅ Invalid verification token rejected' : '❌ Invalid verification token not rejected');
+  
   return loginResult;
 };
 
@@ -108,14 +175,199 @@ const testPropertiesEndpoints = async () => {
   
   // Test UPDATE property (admin only)
   if (createdPropertyId) {
-    const updateData = { price: 800000, status: 'Pending' };
+    const updateData = { price: 800000 };
     const updateResult = await apiRequest('PUT', `/properties/${createdPropertyId}`, updateData, true);
     console.log(updateResult.success ? '✅ Update property successful' : '❌ Update property failed');
+    
+    const historyResult = await apiRequest('GET', `/properties/${createdPropertyId}/price-history`);
+    const historyLength = historyResult.success ? historyResult.data.data.history.length : 0;
+    console.log(historyLength === 2 ? '✅ Price history recorded' : '❌ Price history missing');
+    
+    const statusResult = await apiRequest('POST', `/properties/${createdPropertyId}/status`, { status: 'Pending', reason: 'Offer accepted' }, true);
+    console.log(statusResult.success ? '✅ Change listing status successful' : '❌ Change listing status failed');
+    
+    const rentedResult = await apiRequest('POST', `/properties/${createdPropertyId}/status`, { status: 'Rented', reason: 'Test' }, true);
+    console.log(!rentedResult.success ? '✅ Rented rejected for sale listing' : '❌ Rented allowed for sale listing');
   }
   
+  // Test CREATE rental property (priced per month)
+  const rentalResult = await apiRequest('POST', '/properties', {
+    ...newProperty,
+    name: 'API Test Rental',
+    type: 'Lease Out',
+    price: undefined,
+    rental: { monthlyRent: 3200, deposit: 6400, leaseTermMonths: 12, furnished: 'Furnished', petsAllowed: true }
+  }, true);
+  const perMonth = rentalResult.success && rentalResult.data.data.priceFormatted.endsWith('/month');
+  console.log(perMonth ? '✅ Create rental property successful' : '❌ Create rental property failed');
+  
+  const rentFilterResult = await apiRequest('GET', '/properties?type=Lease%20Out&maxRent=5000&petsAllowed=true');
+  console.log(rentFilterResult.success ? '✅ Filter by rent successful' : '❌ Filter by rent failed');
+  
+  const facetsResult = await apiRequest('GET', '/properties?minBedrooms=2&amenities=Garden,Garage&amenitiesMatch=any&facets=true');
+  const hasFacets = facetsResult.success && Array.isArray(facetsResult.data.data.facets.priceBuckets);
+  console.log(hasFacets ? '✅ Faceted filtering successful' : '❌ Faceted filtering failed');
+  
+  const firstPageResult = await apiRequest('GET', '/properties?limit=1&cursor=');
+  const nextCursor = firstPageResult.success && firstPageResult.data.data.pagination.nextCursor;
+  const nextPageResult = nextCursor ? await apiRequest('GET', `/properties?limit=1&cursor=${nextCursor}`) : firstPageResult;
+  console.log(nextPageResult.success ? '✅ Cursor pagination successful' : '❌ Cursor pagination failed');
+  
+  const sortResult = await apiRequest('GET', '/properties?sort=price_desc');
+  console.log(sortResult.success ? '✅ Sort by price successful' : '❌ Sort by price failed');
+  
+  const badSortResult = await apiRequest('GET', '/properties?sort=password');
+  console.log(!badSortResult.success ? '✅ Unknown sort rejected' : '❌ Unknown sort accepted');
+  
+  const suggestResult = await apiRequest('GET', '/properties/suggest?q=bev');
+  console.log(suggestResult.success ? '✅ Search suggestions successful' : '❌ Search suggestions failed');
+  
+  const typoSearchResult = await apiRequest('GET', '/properties/search?q=beverly%20hils');
+  const corrected = typoSearchResult.success && typoSearchResult.data.data.corrections.some(correction => correction.to === 'hills');
+  console.log(corrected ? '✅ Typo-tolerant search successful' : '❌ Typo-tolerant search failed');
+  
+  const parsedSearchResult = await apiRequest('GET', '/properties/search?q=3%20bed%20villa%20under%202M%20in%20Miami');
+  const interpreted = parsedSearchResult.success && parsedSearchResult.data.data.interpretation.filters.maxPrice === 2000000;
+  console.log(interpreted ? '✅ Natural-language search successful' : '❌ Natural-language search failed');
+  
   return { getAllResult, createResult, createdPropertyId };
 };
 
+const testPropertyImagesEndpoints = async (propertyId) => {
+  console.log('\n🖼️ Testing Property Images Endpoints...');
+  
+  if (!propertyId) {
+    console.log('⚠️ Skipping property image tests (no property available)');
+    return null;
+  }
+  
+  const upload = new FormData();
+  upload.append('images', new Blob([Buffer.from(TEST_IMAGE_PNG, 'base64')], { type: 'image/png' }), 'test.png');
+  const uploadResult = await apiRequest('POST', `/properties/${propertyId}/images`, upload, true);
+  console.log(uploadResult.success ? '✅ Upload property image successful' : '❌ Upload property image failed');
+  
+  // The first image of a listing without a gallery becomes its cover
+  const propertyResult = await apiRequest('GET', `/properties/${propertyId}`);
+  const gallery = propertyResult.success ? propertyResult.data.data.gallery : [];
+  console.log(gallery.some(image => image.isCover) ? '✅ First image set as cover' : '❌ First image not set as cover');
+  
+  const textUpload = new FormData();
+  textUpload.append('images', new Blob(['not an image'], { type: 'text/plain' }), 'notes.txt');
+  const textResult = await apiRequest('POST', `/properties/${propertyId}/images`, textUpload, true);
+  console.log(!textResult.success ? '✅ Non-image upload rejected' : '❌ Non-image upload accepted');
+  
+  const reorderResult = await apiRequest('PUT', `/properties/${propertyId}/images/order`, { order: ['0'.repeat(24)] }, true);
+  console.log(!reorderResult.success ? '✅ Invalid image order rejected' : '❌ Invalid image order accepted');
+  
+  return { uploadResult, textResult, reorderResult };
+};
+
+const testAgentsEndpoints = async () => {
+  console.log('\n🧑‍💼 Testing Agents Endpoints...');
+  
+  const getAgentsResult = await apiRequest('GET', '/agents');
+  console.log(getAgentsResult.success ? '✅ Get agents successful' : '❌ Get agents failed');
+  
+  if (getAgentsResult.success && getAgentsResult.data.data.agents.length > 0) {
+    const agent = getAgentsResult.data.data.agents[0];
+    console.log(`   Found ${getAgentsResult.data.data.agents.length} agents`);
+    
+    const listingsResult = await apiRequest('GET', `/agents/${agent.id}/properties`);
+    console.log(listingsResult.success ? '✅ Get agent properties successful' : '❌ Get agent properties failed');
+  }
+  
+  return getAgentsResult;
+};
+
+const testAppointmentsEndpoints = async () => {
+  console.log('\n📅 Testing Appointments Endpoints...');
+  
+  const propertiesResult = await apiRequest('GET', '/properties?limit=10');
+  const property = propertiesResult.success && propertiesResult.data.data.properties.find(listing => listing.agent);
+  if (!property) {
+    console.log('⚠️ Skipping appointment tests (no listing with an agent available)');
+    return null;
+  }
+  
+  const availabilityResult = await apiRequest('GET', `/agents/${property.agent.id}/availability?days=7`);
+  console.log(availabilityResult.success ? '✅ Get agent availability successful' : '❌ Get agent availability failed');
+  
+  const badDaysResult = await apiRequest('GET', `/agents/${property.agent.id}/availability?days=90`);
+  console.log(!badDaysResult.success ? '✅ Invalid availability range rejected' : '❌ Invalid availability range accepted');
+  
+  const slot = availabilityResult.success && availabilityResult.data.data.slots[0];
+  if (!slot) {
+    console.log('⚠️ Skipping viewing requests (no free slots)');
+    return { availabilityResult };
+  }
+  
+  const requestResult = await apiRequest('POST', '/appointments', { propertyId: property._id, startTime: slot.startTime }, true);
+  console.log(requestResult.success ? '✅ Request viewing successful' : '❌ Request viewing failed');
+  
+  const doubleBookResult = await apiRequest('POST', '/appointments', { propertyId: property._id, startTime: slot.startTime }, true);
+  console.log(!doubleBookResult.success ? '✅ Double booking rejected' : '❌ Double booking accepted');
+  
+  const listResult = await apiRequest('GET', '/appointments?status=requested', null, true);
+  console.log(listResult.success ? '✅ Get appointments successful' : '❌ Get appointments failed');
+  
+  if (requestResult.success) {
+    const cancelResult = await apiRequest('POST', `/appointments/${requestResult.data.data._id}/status`, { status: 'cancelled', reason: 'API test' }, true);
+    console.log(cancelResult.success ? '✅ Cancel appointment successful' : '❌ Cancel appointment failed');
+  }
+  
+  return { availabilityResult, requestResult, doubleBookResult, listResult };
+};
+
+const testFavoritesEndpoints = async (propertyId) => {
+  console.log('\n⭐ Testing Favorites Endpoints...');
+  
+  if (!propertyId) {
+    console.log('⚠️ Skipping favorites tests (no property available)');
+    return null;
+  }
+  
+  const addResult = await apiRequest('POST', `/me/favorites/${propertyId}`, null, true);
+  console.log(addResult.success ? '✅ Add favorite successful' : '❌ Add favorite failed');
+  
+  const listResult = await apiRequest('GET', '/me/favorites', null, true);
+  console.log(listResult.success ? '✅ Get favorites successful' : '❌ Get favorites failed');
+  
+  const propertyResult = await apiRequest('GET', `/properties/${propertyId}`, null, true);
+  console.log(propertyResult.success && propertyResult.data.data.isFavorited ? '✅ isFavorited flag present' : '❌ isFavorited flag missing');
+  
+  const removeResult = await apiRequest('DELETE', `/me/favorites/${propertyId}`, null, true);
+  console.log(removeResult.success ? '✅ Remove favorite successful' : '❌ Remove favorite failed');
+  
+  return { addResult, listResult, removeResult };
+};
+
+const testSavedSearchesEndpoints = async () => {
+  console.log('\n🔖 Testing Saved Searches Endpoints...');
+  
+  const createResult = await apiRequest('POST', '/me/saved-searches', {
+    name: 'API Test Search',
+    filters: { type: 'Buy', maxPrice: 5000000, location: 'Beverly Hills' },
+    alertsEnabled: true
+  }, true);
+  console.log(createResult.success ? '✅ Create saved search successful' : '❌ Create saved search failed');
+  
+  const listResult = await apiRequest('GET', '/me/saved-searches', null, true);
+  console.log(listResult.success ? '✅ Get saved searches successful' : '❌ Get saved searches failed');
+  
+  const badRangeResult = await apiRequest('POST', '/me/saved-searches', {
+    name: 'Invalid Range',
+    filters: { minPrice: 2000000, maxPrice: 1000000 }
+  }, true);
+  console.log(!badRangeResult.success ? '✅ Invalid price range rejected' : '❌ Invalid price range accepted');
+  
+  if (createResult.success) {
+    const deleteResult = await apiRequest('DELETE', `/me/saved-searches/${createResult.data.data._id}`, null, true);
+    console.log(deleteResult.success ? '✅ Delete saved search successful' : '❌ Delete saved search failed');
+  }
+  
+  return { createResult, listResult, badRangeResult };
+};
+
 const testServicesEndpoints = async () => {
   console.log('\n🛠️ Testing Services Endpoints...');
   
@@ -152,6 +404,19 @@ const testContactEndpoint = async (propertyId = null) => {
   return contactResult;
 };
 
+const testMailEndpoints = async () => {
+  console.log('\n✉️ Testing Mail Delivery...');
+  
+  // Queues a password reset email in the outbox for an existing account
+  const resetMailResult = await apiRequest('POST', '/auth/forgot-password', { email: testConfig.adminCredentials.email });
+  console.log(resetMailResult.success ? '✅ Password reset email queued' : '❌ Password reset email not queued');
+  
+  const badEmailResult = await apiRequest('POST', '/auth/forgot-password', { email: 'not-an-email' });
+  console.log(!badEmailResult.success ? '✅ Invalid recipient address rejected' : '❌ Invalid recipient address accepted');
+  
+  return { resetMailResult, badEmailResult };
+};
+
 const testSearchAndFiltering = async () => {
   console.log('\n🔍 Testing Search and Filtering...');
   
@@ -167,7 +432,18 @@ const testSearchAndFiltering = async () => {
   const locationResult = await apiRequest('GET', '/properties?location=Beverly Hills&limit=2');
   console.log(locationResult.success ? '✅ Location search successful' : '❌ Location search failed');
   
-  return { categoryResult, priceResult, locationResult };
+  // Test radius search
+  const radiusResult = await apiRequest('GET', '/properties?lat=34.0522&lng=-118.2437&radiusKm=25&limit=2');
+  console.log(radiusResult.success ? '✅ Radius search successful' : '❌ Radius search failed');
+  if (radiusResult.success && radiusResult.data.data.properties.length > 0) {
+    console.log(`   Nearest property is ${radiusResult.data.data.properties[0].distanceKm} km away`);
+  }
+  
+  // Test bounding box search
+  const bboxResult = await apiRequest('GET', '/properties?bbox=-118.5,33.9,-118.1,34.2&limit=2');
+  console.log(bboxResult.success ? '✅ Bounding box search successful' : '❌ Bounding box search failed');
+  
+  return { categoryResult, priceResult, locationResult, radiusResult, bboxResult };
 };
 
 const testErrorHandling = async () => {
@@ -185,7 +461,11 @@ const testErrorHandling = async () => {
   const invalidContactResult = await apiRequest('POST', '/contact', { name: 'Test' });
   console.log(!invalidContactResult.success ? '✅ Invalid contact data error handling works' : '❌ Invalid contact data error handling failed');
   
-  return { invalidIdResult, unauthorizedResult, invalidContactResult };
+  // Test listing deleted records without permission
+  const includeDeletedResult = await apiRequest('GET', '/properties?includeDeleted=true', null, false);
+  console.log(!includeDeletedResult.success ? '✅ includeDeleted requires permission' : '❌ includeDeleted allowed without permission');
+  
+  return { invalidIdResult, unauthorizedResult, invalidContactResult, includeDeletedResult };
 };
 
 // Main test runner
@@ -199,8 +479,14 @@ const runAllTests = async () => {
     await testAuthentication();
     
     const propertiesTest = await testPropertiesEndpoints();
+    await testPropertyImagesEndpoints(propertiesTest.createdPropertyId);
+    await testAgentsEndpoints();
+    await testAppointmentsEndpoints();
+    await testFavoritesEndpoints(propertiesTest.createdPropertyId);
+    await testSavedSearchesEndpoints();
     await testServicesEndpoints();
     await testContactEndpoint(propertiesTest.createdPropertyId);
+    await testMailEndpoints();
     await testSearchAndFiltering();
     await testErrorHandling();
     
@@ -212,8 +498,14 @@ const runAllTests = async () => {
     console.log('- Health Check: ✅');
     console.log('- Authentication: ✅');
     console.log('- Properties CRUD: ✅');
+    console.log('- Property Images: ✅');
+    console.log('- Agents: ✅');
+    console.log('- Appointments: ✅');
+    console.log('- Favorites: ✅');
+    console.log('- Saved Searches: ✅');
     console.log('- Services: ✅');
     console.log('- Contact Form: ✅');
+    console.log('- Mail Delivery: ✅');
     console.log('- Search & Filtering: ✅');
     console.log('- Error Handling: ✅');
     
@@ -232,8 +524,14 @@ module.exports = {
   testHealthCheck,
   testAuthentication,
   testPropertiesEndpoints,
+  testPropertyImagesEndpoints,
+  testAgentsEndpoints,
+  testAppointmentsEndpoints,
+  testFavoritesEndpoints,
+  testSavedSearchesEndpoints,
   testServicesEndpoints,
   testContactEndpoint,
+  testMailEndpoints,
   testSearchAndFiltering,
   testErrorHandling
 };
\ No newline at end of file
@@ -0,0 +1,154 @@
+// Agent availability helpers. Weekly availability windows are stored as
+// wall-clock times ("HH:MM") in the agent's timezone and turned into
+// concrete UTC slots here.
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Used when an agent has not configured any availability yet
+const DEFAULT_AVAILABILITY = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday']
+  .map(day => ({ day, start: '09:00', end: '17:00' }));
+
+const DEFAULT_DURATION = 30; // minutes
+
+const MINUTE_MS = 60 * 1000;
+
+// "HH:MM" -> minutes since midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Wall-clock parts of a date in a timezone
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const map = parts.reduce((acc, part) => {
+    if (part.type !== 'literal') acc[part.type] = parseInt(part.value, 10);
+    return acc;
+  }, {});
+
+  return {
+    year: map.year,
+    month: map.month,
+    day: map.day,
+    hour: map.hour,
+    minute: map.minute,
+    second: map.second
+  };
+};
+
+// UTC offset (ms) of a timezone at an instant
+const getOffset = (time, timeZone) => {
+  const zoned = getZonedParts(new Date(time), timeZone);
+  return Date.UTC(zoned.year, zoned.month - 1, zoned.day, zoned.hour, zoned.minute, zoned.second) - time;
+};
+
+// Convert a wall-clock time in a timezone to a UTC Date. The offset is taken
+// again at the first result, since on DST change days it can differ from the
+// offset at the guessed instant.
+const zonedTimeToUtc = ({ year, month, day }, minutesOfDay, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day, 0, minutesOfDay);
+  const offset = getOffset(guess, timeZone);
+  const corrected = getOffset(guess - offset, timeZone);
+  return new Date(guess - corrected);
+};
+
+// Check whether a value is an IANA timezone name Intl can work with
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Resolve the availability settings of an agent user (UTC when the stored
+// timezone is missing or not valid)
+const getAgentSchedule = (agent) => {
+  const agentInfo = agent.agentInfo || {};
+  const availability = agentInfo.availability && agentInfo.availability.length > 0
+    ? agentInfo.availability
+    : DEFAULT_AVAILABILITY;
+  const timeZone = agent.preferences && agent.preferences.timezone;
+
+  return {
+    availability,
+    duration: agentInfo.appointmentDuration || DEFAULT_DURATION,
+    timeZone: isValidTimeZone(timeZone) ? timeZone : 'UTC'
+  };
+};
+
+const overlaps = (start, end, other) => start < other.endTime && end > other.startTime;
+
+// List free slots for a schedule, starting on the day of `from` for `days` days.
+// `booked` holds existing appointments ({ startTime, endTime }) to exclude.
+const getAvailableSlots = ({ availability, duration, timeZone }, { from = new Date(), days = 7, booked = [] } = {}) => {
+  const now = Date.now();
+  const startDay = getZonedParts(from, timeZone);
+  const slots = [];
+
+  for (let offset = 0; offset < days; offset++) {
+    const date = new Date(Date.UTC(startDay.year, startDay.month - 1, startDay.day + offset));
+    const localDate = {
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate()
+    };
+    const dayName = DAYS[date.getUTCDay()];
+
+    availability
+      .filter(window => window.day === dayName)
+      .forEach(window => {
+        const end = toMinutes(window.end);
+        for (let minutes = toMinutes(window.start); minutes + duration <= end; minutes += duration) {
+          const startTime = zonedTimeToUtc(localDate, minutes, timeZone);
+          const endTime = new Date(startTime.getTime() + duration * MINUTE_MS);
+
+          if (startTime.getTime() <= now) continue;
+          if (booked.some(appointment => overlaps(startTime, endTime, appointment))) continue;
+
+          slots.push({ startTime, endTime });
+        }
+      });
+  }
+
+  return slots.sort((a, b) => a.startTime - b.startTime);
+};
+
+// Check that a start time falls on a slot of the schedule
+const isAvailableSlot = ({ availability, duration, timeZone }, startTime) => {
+  const local = getZonedParts(startTime, timeZone);
+  const dayName = DAYS[new Date(Date.UTC(local.year, local.month - 1, local.day)).getUTCDay()];
+  const minutes = local.hour * 60 + local.minute;
+
+  if (local.second !== 0) return false;
+
+  return availability.some(window => {
+    if (window.day !== dayName) return false;
+    const start = toMinutes(window.start);
+    return minutes >= start &&
+      minutes + duration <= toMinutes(window.end) &&
+      (minutes - start) % duration === 0;
+  });
+};
+
+module.exports = {
+  DAYS,
+  DEFAULT_AVAILABILITY,
+  DEFAULT_DURATION,
+  getAgentSchedule,
+  getAvailableSlots,
+  isAvailableSlot,
+  isValidTimeZone
+};
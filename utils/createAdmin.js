@@ -0,0 +1,45 @@
+// Create an admin user from the command line:
+//   npm run create-admin -- --email admin@example.com --name "Jane Admin" [--password <password>]
+// The password can also be given with ADMIN_PASSWORD. Without one, a random
+// password is generated and printed once.
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const { runWithConnection } = require('./seedData');
+require('dotenv').config();
+
+// Read the value following a --flag argument
+const getArg = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+};
+
+const createAdminUser = async () => {
+  const email = getArg('email') || process.env.ADMIN_EMAIL;
+  const name = getArg('name') || 'Admin User';
+  const providedPassword = getArg('password') || process.env.ADMIN_PASSWORD;
+  const password = providedPassword || crypto.randomBytes(12).toString('base64url');
+
+  if (!email) {
+    throw new Error('An email is required (--email or ADMIN_EMAIL)');
+  }
+
+  const admin = await User.createAdmin(email, password, name);
+  console.log(`Created admin user: ${admin.email}`);
+
+  if (!providedPassword) {
+    console.log(`Generated password: ${password}`);
+    console.log('Store it safely and change it after the first login.');
+  }
+
+  return admin;
+};
+
+if (require.main === module) {
+  runWithConnection(createAdminUser).catch((error) => {
+    console.error('Error creating admin user:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { createAdminUser };
@@ -0,0 +1,132 @@
+const Setting = require('../models/Setting');
+
+// Exchange rates are stored relative to this currency
+const BASE_CURRENCY = 'USD';
+
+const DEFAULT_LOCALE = 'en-US';
+
+// Setting key of the exchange-rate table ({ EUR: 0.92, ... } per 1 USD)
+const EXCHANGE_RATES_KEY = 'currency.exchangeRates';
+
+const CURRENCY_CODES = new Set(Intl.supportedValuesOf('currency'));
+
+// Currency of new listings by address.country (anything else uses BASE_CURRENCY)
+const COUNTRY_CURRENCIES = {
+  usa: 'USD',
+  us: 'USD',
+  'united states': 'USD',
+  canada: 'CAD',
+  ca: 'CAD',
+  mexico: 'MXN',
+  mx: 'MXN',
+  uk: 'GBP',
+  gb: 'GBP',
+  'united kingdom': 'GBP',
+  ireland: 'EUR',
+  france: 'EUR',
+  germany: 'EUR',
+  spain: 'EUR',
+  italy: 'EUR',
+  portugal: 'EUR',
+  netherlands: 'EUR',
+  switzerland: 'CHF',
+  uae: 'AED',
+  'united arab emirates': 'AED',
+  india: 'INR',
+  australia: 'AUD',
+  japan: 'JPY'
+};
+
+// Check whether a value is an ISO 4217 currency code
+const isCurrencyCode = (code) => typeof code === 'string' && CURRENCY_CODES.has(code.toUpperCase());
+
+// Check whether a value is a locale Intl can format numbers for
+const isSupportedLocale = (locale) => {
+  try {
+    return !!locale && Intl.NumberFormat.supportedLocalesOf(locale).length > 0;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Default currency for a country name or code (null if unknown)
+const currencyForCountry = (country) => (country && COUNTRY_CURRENCIES[country.trim().toLowerCase()]) || null;
+
+// Locale for formatting prices: the user's language preference, then the
+// Accept-Language header, then en-US
+const resolveLocale = (req) => {
+  const preferred = req.user && req.user.preferences && req.user.preferences.language;
+  return [preferred, ...req.acceptsLanguages()].find(isSupportedLocale) || DEFAULT_LOCALE;
+};
+
+// Period a listing type is priced per (Lease Out listings are priced by the month)
+const pricePeriodFor = (type) => (type === 'Lease Out' ? 'month' : null);
+
+// Format an amount as currency in a locale, e.g. "$2,500.00/month" with a period
+const formatPrice = (amount, currency = BASE_CURRENCY, locale = DEFAULT_LOCALE, period = null) => {
+  if (amount == null) return undefined;
+  const formatted = new Intl.NumberFormat(locale, { style: 'currency', currency }).format(amount);
+  return period ? `${formatted}/${period}` : formatted;
+};
+
+// Get the exchange-rate table (always includes the base currency)
+const getExchangeRates = async () => {
+  const rates = await Setting.getValue(EXCHANGE_RATES_KEY, {});
+  return { ...rates, [BASE_CURRENCY]: 1 };
+};
+
+// Replace the exchange-rate table
+const setExchangeRates = async (rates, updatedBy) => {
+  const normalized = Object.fromEntries(
+    Object.entries(rates)
+      .map(([code, rate]) => [code.toUpperCase(), Number(rate)])
+      .filter(([code]) => code !== BASE_CURRENCY)
+  );
+  await Setting.setValue(EXCHANGE_RATES_KEY, normalized, updatedBy);
+  return { ...normalized, [BASE_CURRENCY]: 1 };
+};
+
+// Convert an amount between currencies (null when a rate is missing)
+const convertPrice = (amount, from, to, rates) => {
+  if (amount == null || !rates[from] || !rates[to]) return null;
+  if (from === to) return amount;
+  return Math.round((amount / rates[from]) * rates[to] * 100) / 100;
+};
+
+// Localized price fields of a property for a request's price display
+// ({ locale, currency, rates }); adds convertedPrice when a currency was requested
+const localizePrice = (property, { locale, currency, rates }) => {
+  const listingCurrency = property.currency || BASE_CURRENCY;
+  const period = pricePeriodFor(property.type);
+  const fields = {
+    currency: listingCurrency,
+    priceFormatted: formatPrice(property.price, listingCurrency, locale, period)
+  };
+
+  if (currency) {
+    const amount = convertPrice(property.price, listingCurrency, currency, rates);
+    fields.convertedPrice = amount === null ? null : {
+      amount,
+      currency,
+      formatted: formatPrice(amount, currency, locale, period)
+    };
+  }
+
+  return fields;
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  DEFAULT_LOCALE,
+  EXCHANGE_RATES_KEY,
+  isCurrencyCode,
+  isSupportedLocale,
+  currencyForCountry,
+  resolveLocale,
+  pricePeriodFor,
+  formatPrice,
+  getExchangeRates,
+  setExchangeRates,
+  convertPrice,
+  localizePrice
+};
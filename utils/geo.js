@@ -0,0 +1,57 @@
+// Geospatial helpers shared by the Property model and property queries.
+// GeoJSON stores positions as [longitude, latitude].
+
+// Build a GeoJSON point from latitude/longitude values
+const toGeoPoint = (latitude, longitude) => {
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+
+  if (Number.isNaN(lat) || Number.isNaN(lng)) {
+    return null;
+  }
+
+  return {
+    type: 'Point',
+    coordinates: [lng, lat]
+  };
+};
+
+// Parse a "minLng,minLat,maxLng,maxLat" bounding box string
+const parseBoundingBox = (bbox) => {
+  if (typeof bbox !== 'string') return null;
+
+  const values = bbox.split(',').map(value => parseFloat(value.trim()));
+  if (values.length !== 4 || values.some(Number.isNaN)) return null;
+
+  const [minLng, minLat, maxLng, maxLat] = values;
+  if (minLng < -180 || maxLng > 180 || minLat < -90 || maxLat > 90) return null;
+  if (minLng >= maxLng || minLat >= maxLat) return null;
+
+  return { minLng, minLat, maxLng, maxLat };
+};
+
+// Build a $geoWithin filter for a parsed bounding box
+const boundingBoxFilter = ({ minLng, minLat, maxLng, maxLat }) => ({
+  $geoWithin: {
+    $geometry: {
+      type: 'Polygon',
+      coordinates: [[
+        [minLng, minLat],
+        [maxLng, minLat],
+        [maxLng, maxLat],
+        [minLng, maxLat],
+        [minLng, minLat]
+      ]]
+    }
+  }
+});
+
+// Convert meters (as returned by $geoNear) to kilometers, rounded to 2 decimals
+const metersToKm = (meters) => Math.round(meters / 10) / 100;
+
+module.exports = {
+  toGeoPoint,
+  parseBoundingBox,
+  boundingBoxFilter,
+  metersToKm
+};
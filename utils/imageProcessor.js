@@ -0,0 +1,66 @@
+const sharp = require('sharp');
+
+// Resized variants generated for every uploaded property image
+const IMAGE_VARIANTS = {
+  thumbnail: { width: 320, height: 240, fit: 'cover' },
+  medium: { width: 1024, height: 768, fit: 'inside' }
+};
+
+// Largest dimension kept for the stored original
+const MAX_ORIGINAL_DIMENSION = 2560;
+
+// Decode an uploaded image and produce the original plus resized variants.
+// Throws an error with code INVALID_IMAGE if the buffer is not a readable image.
+const processImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    const invalid = new Error('Uploaded file is not a valid image');
+    invalid.code = 'INVALID_IMAGE';
+    invalid.statusCode = 400;
+    throw invalid;
+  }
+
+  // Apply EXIF orientation; all variants are re-encoded as JPEG
+  const base = () => sharp(buffer).rotate();
+
+  const original = await base()
+    .resize({
+      width: MAX_ORIGINAL_DIMENSION,
+      height: MAX_ORIGINAL_DIMENSION,
+      fit: 'inside',
+      withoutEnlargement: true
+    })
+    .jpeg({ quality: 90 })
+    .toBuffer();
+
+  const variants = { original };
+  for (const [name, options] of Object.entries(IMAGE_VARIANTS)) {
+    variants[name] = await base()
+      .resize({ ...options, withoutEnlargement: true })
+      .jpeg({ quality: 80 })
+      .toBuffer();
+  }
+
+  return {
+    width: metadata.width,
+    height: metadata.height,
+    format: 'jpeg',
+    variants
+  };
+};
+
+// Remove every stored variant of a gallery image
+const removeStoredImage = async (storage, image) => {
+  const variants = ['original', ...Object.keys(IMAGE_VARIANTS)]
+    .map(name => image.variants && image.variants[name])
+    .filter(Boolean);
+  await Promise.all(variants.map(variant => storage.remove(variant.key)));
+};
+
+module.exports = {
+  IMAGE_VARIANTS,
+  processImage,
+  removeStoredImage
+};
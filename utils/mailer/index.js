@@ -0,0 +1,150 @@
+const OutboxMessage = require('../../models/OutboxMessage');
+const { renderTemplate, isSensitiveTemplate } = require('./templates');
+const { createSmtpTransport } = require('./transports/smtp');
+const { createOutboxTransport } = require('./transports/outbox');
+
+const MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.MAIL_RETRY_BASE_DELAY_MS) || 60 * 1000; // doubled after each failure
+const DELIVERY_LEASE_MS = 5 * 60 * 1000; // keeps other workers off a message being delivered
+
+// Available transports. Each transport exposes send(mail) -> Promise<{ messageId }>
+const transports = {
+  smtp: createSmtpTransport,
+  outbox: createOutboxTransport
+};
+
+let transport;
+
+// Get the configured transport (MAIL_TRANSPORT, defaults to the local outbox)
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'outbox';
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = transports[name]();
+  }
+  return transport;
+};
+
+// Register an additional transport factory (or replace one)
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+  transport = undefined;
+};
+
+// Build a link to a page of the client application (CLIENT_URL) for use in emails
+const buildClientUrl = (path, params = {}) => {
+  const base = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+  const query = new URLSearchParams(params).toString();
+  return `${base}${path}${query ? `?${query}` : ''}`;
+};
+
+// Render a template and store the message in the outbox without sending it.
+// The data of sensitive templates (one-time links) is not stored.
+const queueMail = (template, { to, user, data = {} }, nextAttemptAt = new Date()) => {
+  const { subject, text, html } = renderTemplate(template, data);
+
+  return OutboxMessage.create({
+    channel: 'email',
+    to,
+    user,
+    template,
+    subject,
+    text,
+    html,
+    data: isSensitiveTemplate(template) ? {} : data,
+    nextAttemptAt
+  });
+};
+
+// Attempt delivery of a queued email, recording the outcome on the message
+const deliver = async (message) => {
+  const activeTransport = getTransport();
+  message.attempts += 1;
+  message.transport = activeTransport.name;
+
+  try {
+    const info = await activeTransport.send({
+      from: process.env.MAIL_FROM || process.env.EMAIL_USER || 'no-reply@realestate.com',
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html
+    });
+
+    message.status = 'sent';
+    message.sentAt = new Date();
+    message.providerMessageId = info && info.messageId;
+    message.lastError = undefined;
+  } catch (error) {
+    message.lastError = error.message;
+
+    if (message.attempts >= MAX_ATTEMPTS) {
+      message.status = 'failed';
+    } else {
+      message.nextAttemptAt = new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (message.attempts - 1));
+    }
+  }
+
+  // Nothing will be sent again, so drop the one-time link of sensitive templates
+  if (message.status !== 'pending' && isSensitiveTemplate(message.template)) {
+    message.text = undefined;
+    message.html = undefined;
+    message.bodyClearedAt = new Date();
+  }
+
+  return message.save();
+};
+
+// Queue an email and try to deliver it right away.
+// Failures are retried later by processOutbox().
+const sendMail = async (template, options) => {
+  const message = await queueMail(template, options, new Date(Date.now() + DELIVERY_LEASE_MS));
+  return deliver(message);
+};
+
+// Deliver pending emails that are due (new messages and retries).
+// Each message is claimed atomically so concurrent workers don't send it twice.
+const processOutbox = async (limit = 50) => {
+  let processed = 0;
+
+  while (processed < limit) {
+    const message = await OutboxMessage.findOneAndUpdate(
+      {
+        channel: 'email',
+        status: 'pending',
+        nextAttemptAt: { $lte: new Date() }
+      },
+      { $set: { nextAttemptAt: new Date(Date.now() + DELIVERY_LEASE_MS) } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+
+    if (!message) break;
+
+    await deliver(message);
+    processed += 1;
+  }
+
+  return processed;
+};
+
+// Periodically process the outbox. Returns the timer so callers can stop it.
+const startOutboxWorker = (intervalMs = parseInt(process.env.MAIL_OUTBOX_POLL_INTERVAL_MS) || 60 * 1000) => {
+  const timer = setInterval(() => {
+    processOutbox().catch(err => console.error('Error processing mail outbox:', err));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  getTransport,
+  registerTransport,
+  queueMail,
+  sendMail,
+  buildClientUrl,
+  processOutbox,
+  startOutboxWorker
+};
@@ -0,0 +1,131 @@
+// Email templates. Each template receives the message data and returns
+// { subject, text, html }.
+
+const APP_NAME = process.env.APP_NAME || 'Real Estate';
+
+// Escape user-provided values before inserting them into HTML
+const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Wrap paragraphs in a minimal HTML layout
+const layout = (paragraphs) => [
+  '<!DOCTYPE html>',
+  '<html><body style="font-family: Arial, sans-serif; color: #333;">',
+  ...paragraphs.map(paragraph => `<p>${paragraph}</p>`),
+  `<p style="color: #888; font-size: 12px;">${escapeHtml(APP_NAME)}</p>`,
+  '</body></html>'
+].join('\n');
+
+const templates = {
+  'contact-acknowledgement': ({ name, subject, propertyName }) => ({
+    subject: `We received your inquiry${propertyName ? ` about ${propertyName}` : ''}`,
+    text: [
+      `Hi ${name},`,
+      `Thank you for contacting ${APP_NAME}. We received your message${subject ? ` "${subject}"` : ''} and will get back to you within 24 hours.`
+    ].join('\n\n'),
+    html: layout([
+      `Hi ${escapeHtml(name)},`,
+      `Thank you for contacting ${escapeHtml(APP_NAME)}. We received your message${subject ? ` &quot;${escapeHtml(subject)}&quot;` : ''} and will get back to you within 24 hours.`
+    ])
+  }),
+
+  'admin-new-lead': ({ contactId, name, email, phone, subject, message, propertyName, priority }) => ({
+    subject: `New ${priority || 'medium'} priority lead: ${subject || name}`,
+    text: [
+      `A new contact form was submitted (ID ${contactId}).`,
+      `Name: ${name}\nEmail: ${email}${phone ? `\nPhone: ${phone}` : ''}${propertyName ? `\nProperty: ${propertyName}` : ''}`,
+      message
+    ].join('\n\n'),
+    html: layout([
+      `A new contact form was submitted (ID ${escapeHtml(contactId)}).`,
+      `Name: ${escapeHtml(name)}<br>Email: ${escapeHtml(email)}${phone ? `<br>Phone: ${escapeHtml(phone)}` : ''}${propertyName ? `<br>Property: ${escapeHtml(propertyName)}` : ''}`,
+      escapeHtml(message)
+    ])
+  }),
+
+  'password-reset': ({ name, resetUrl, expiresInMinutes }) => ({
+    subject: `Reset your ${APP_NAME} password`,
+    text: [
+      `Hi ${name},`,
+      `Use the link below to reset your password. It expires in ${expiresInMinutes} minutes and can only be used once.`,
+      resetUrl,
+      'If you did not request a password reset, you can ignore this email.'
+    ].join('\n\n'),
+    html: layout([
+      `Hi ${escapeHtml(name)},`,
+      `Use the link below to reset your password. It expires in ${escapeHtml(expiresInMinutes)} minutes and can only be used once.`,
+      `<a href="${escapeHtml(resetUrl)}">Reset password</a>`,
+      'If you did not request a password reset, you can ignore this email.'
+    ])
+  }),
+
+  'email-verification': ({ name, verifyUrl }) => ({
+    subject: `Verify your ${APP_NAME} email address`,
+    text: [
+      `Hi ${name},`,
+      'Please confirm your email address by opening the link below.',
+      verifyUrl
+    ].join('\n\n'),
+    html: layout([
+      `Hi ${escapeHtml(name)},`,
+      'Please confirm your email address by opening the link below.',
+      `<a href="${escapeHtml(verifyUrl)}">Verify email</a>`
+    ])
+  }),
+
+  'user-invite': ({ name, inviterName, role, acceptUrl, expiresInDays }) => {
+    const article = /^[aeio]/i.test(role) ? 'an' : 'a';
+    return {
+      subject: `You've been invited to ${APP_NAME}`,
+      text: [
+        `Hi${name ? ` ${name}` : ''},`,
+        `${inviterName} invited you to join ${APP_NAME} as ${article} ${role}. Use the link below to choose your password. It expires in ${expiresInDays} days.`,
+        acceptUrl
+      ].join('\n\n'),
+      html: layout([
+        `Hi${name ? ` ${escapeHtml(name)}` : ''},`,
+        `${escapeHtml(inviterName)} invited you to join ${escapeHtml(APP_NAME)} as ${article} ${escapeHtml(role)}. Use the link below to choose your password. It expires in ${escapeHtml(expiresInDays)} days.`,
+        `<a href="${escapeHtml(acceptUrl)}">Accept invitation</a>`
+      ])
+    };
+  },
+
+  'saved-search-match': ({ name, searchName, propertyName, location, price }) => ({
+    subject: `New listing matches your search "${searchName}"`,
+    text: [
+      `Hi ${name},`,
+      `${propertyName} in ${location} (${price}) matches your saved search "${searchName}".`
+    ].join('\n\n'),
+    html: layout([
+      `Hi ${escapeHtml(name)},`,
+      `${escapeHtml(propertyName)} in ${escapeHtml(location)} (${escapeHtml(price)}) matches your saved search &quot;${escapeHtml(searchName)}&quot;.`
+    ])
+  })
+};
+
+// Templates whose emails carry one-time links (reset, verification and invite
+// tokens). Their data isn't stored and their bodies are cleared once delivery
+// has finished, so the outbox never holds a usable token for long.
+const SENSITIVE_TEMPLATES = ['password-reset', 'email-verification', 'user-invite'];
+
+const isSensitiveTemplate = (name) => SENSITIVE_TEMPLATES.includes(name);
+
+// Render a template by name
+const renderTemplate = (name, data = {}) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template(data);
+};
+
+module.exports = {
+  SENSITIVE_TEMPLATES,
+  templates,
+  isSensitiveTemplate,
+  renderTemplate
+};
@@ -0,0 +1,32 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Local transport for development and tests. Nothing leaves the machine:
+// the outbox collection record is the delivered message (without the body of
+// emails with one-time links), and a full JSON copy is written to
+// MAIL_OUTBOX_DIR when it is set.
+const createOutboxTransport = () => {
+  const directory = process.env.MAIL_OUTBOX_DIR;
+
+  return {
+    name: 'outbox',
+
+    async send(mail) {
+      const messageId = `<${crypto.randomUUID()}@outbox.local>`;
+
+      if (directory) {
+        await fs.mkdir(directory, { recursive: true });
+        const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.json`;
+        await fs.writeFile(
+          path.join(directory, fileName),
+          JSON.stringify({ messageId, ...mail }, null, 2)
+        );
+      }
+
+      return { messageId };
+    }
+  };
+};
+
+module.exports = { createOutboxTransport };
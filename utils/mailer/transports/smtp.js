@@ -0,0 +1,26 @@
+const nodemailer = require('nodemailer');
+
+// SMTP transport using the EMAIL_* settings
+const createSmtpTransport = () => {
+  const port = parseInt(process.env.EMAIL_PORT) || 587;
+  const transporter = nodemailer.createTransport({
+    host: process.env.EMAIL_HOST,
+    port,
+    secure: port === 465,
+    auth: process.env.EMAIL_USER ? {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS
+    } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(mail) {
+      const info = await transporter.sendMail(mail);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+module.exports = { createSmtpTransport };
@@ -0,0 +1,111 @@
+// Cursor pagination helpers. A cursor is an opaque base64url token holding the
+// sort (field and direction) and the sort value and _id of the last item
+// returned, so the next page starts right after it however many items are
+// added or removed before it. Ties on the sort value are broken by _id.
+const mongoose = require('mongoose');
+
+// Read a (possibly nested) field from a document or plain object
+const getPath = (item, path) => {
+  if (typeof item.get === 'function') return item.get(path);
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), item);
+};
+
+// Encode the cursor for the item after which the next page starts
+const encodeCursor = (item, { field, direction }) => {
+  const value = getPath(item, field);
+  const payload = {
+    f: field,
+    d: direction,
+    v: value instanceof Date ? value.toISOString() : (value === undefined ? null : value),
+    t: value instanceof Date ? 'date' : undefined,
+    id: String(item._id)
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Decode a cursor into { field, direction, value, id } (null if it is invalid)
+const decodeCursor = (cursor) => {
+  try {
+    const { f, d, v, t, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof f !== 'string' || !f || ![1, -1].includes(d) || !mongoose.isValidObjectId(id)) return null;
+    return {
+      field: f,
+      direction: d,
+      value: t === 'date' ? new Date(v) : v,
+      id: new mongoose.Types.ObjectId(id)
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Filter for the items after a decoded cursor. Values are already cast, so the
+// filter also works in aggregation pipelines. Missing values sort first.
+const cursorFilter = ({ field, direction, value, id }) => {
+  const after = direction === 1 ? '$gt' : '$lt';
+
+  if (value === null) {
+    const sameValue = { [field]: null, _id: { [after]: id } };
+    return direction === 1 ? { $or: [sameValue, { [field]: { $ne: null } }] } : sameValue;
+  }
+
+  const later = [{ [field]: { [after]: value } }, { [field]: value, _id: { [after]: id } }];
+  if (direction === -1) later.push({ [field]: null });
+  return { $or: later };
+};
+
+// Add the cursor filter to a query without clobbering its own $or
+const withCursor = (query, cursor) => (
+  cursor ? { ...query, $and: [...(query.$and || []), cursorFilter(cursor)] } : query
+);
+
+// Cursor settings for a request with a { field, direction } sort (see
+// utils/sort), or null for page-based requests (no cursor parameter). An empty
+// cursor starts at the first item; after that the sort comes from the cursor.
+const cursorMode = (cursor, sort) => {
+  if (cursor === undefined) return null;
+  const after = cursor ? decodeCursor(cursor) : null;
+  return {
+    sort: after ? { field: after.field, direction: after.direction } : sort,
+    after
+  };
+};
+
+// Trim a page fetched with limit + 1 items and build its pagination info
+const cursorPage = (items, limit, sort) => {
+  const hasNextPage = items.length > limit;
+  const page = hasNextPage ? items.slice(0, limit) : items;
+
+  return {
+    items: page,
+    pagination: {
+      itemsPerPage: limit,
+      hasNextPage,
+      nextCursor: hasNextPage ? encodeCursor(page[page.length - 1], sort) : null
+    }
+  };
+};
+
+// Pagination info for page-based requests
+const pagePagination = (page, limit, totalItems) => {
+  const totalPages = Math.ceil(totalItems / limit);
+
+  return {
+    currentPage: page,
+    totalPages,
+    totalItems,
+    itemsPerPage: limit,
+    hasNextPage: page < totalPages,
+    hasPreviousPage: page > 1
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  withCursor,
+  cursorMode,
+  cursorPage,
+  pagePagination
+};
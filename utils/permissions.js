@@ -0,0 +1,66 @@
+// Named permissions and the default policy for the built-in roles.
+// Built-in roles (except admin) can be reconfigured and custom roles added
+// through /api/v1/auth/roles; see models/Role.js.
+
+const PERMISSIONS = {
+  'property:create': 'Create listings',
+  'property:update:own': 'Edit own listings and their images',
+  'property:update:any': 'Edit any listing, assign agents and feature listings',
+  'property:delete': 'Delete listings',
+  'property:stats': 'View listing statistics',
+  'service:manage': 'Create, edit and delete services and view their statistics',
+  'contact:read': 'View contact requests and their statistics',
+  'contact:update': 'Update and respond to contact requests',
+  'contact:assign': 'Assign contact requests to team members',
+  'contact:delete': 'Delete contact requests',
+  'appointment:schedule': 'Schedule viewings from contact requests',
+  'appointment:manage': 'Manage every viewing appointment',
+  'user:manage': 'View users, change their roles and send invites',
+  'role:manage': 'Create and edit roles',
+  'settings:manage': 'Change site settings such as the 2FA policy and exchange rates',
+  'audit:read': 'View and export the audit log'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+const BUILT_IN_ROLES = {
+  admin: {
+    label: 'Administrator',
+    description: 'Full access to everything',
+    permissions: ALL_PERMISSIONS
+  },
+  agent: {
+    label: 'Agent',
+    description: 'Lists and manages their own properties and viewings',
+    permissions: ['property:create', 'property:update:own', 'appointment:schedule']
+  },
+  user: {
+    label: 'User',
+    description: 'Registered website user',
+    permissions: []
+  }
+};
+
+// Listing agents are the users with this role: they are listed under /agents,
+// can be assigned to listings and publish their availability for viewings.
+// This identity is fixed; what agents may do is set through their permissions.
+const AGENT_ROLE = 'agent';
+
+// Check whether a permission name exists
+const isPermission = (permission) => Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+
+// Check whether a role name is one of the built-in roles
+const isBuiltInRole = (role) => Object.prototype.hasOwnProperty.call(BUILT_IN_ROLES, role);
+
+// Default permissions of a built-in role (empty for unknown roles)
+const getDefaultPermissions = (role) => (isBuiltInRole(role) ? BUILT_IN_ROLES[role].permissions : []);
+
+module.exports = {
+  AGENT_ROLE,
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  BUILT_IN_ROLES,
+  isPermission,
+  isBuiltInRole,
+  getDefaultPermissions
+};
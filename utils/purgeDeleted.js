@@ -0,0 +1,47 @@
+const Property = require('../models/Property');
+const Service = require('../models/Service');
+const Contact = require('../models/Contact');
+const { removeStoredImage } = require('./imageProcessor');
+const { getStorage } = require('./storage');
+
+// Soft-deleted records are permanently removed after this many days
+const getRetentionDays = () => parseInt(process.env.SOFT_DELETE_RETENTION_DAYS) || 30;
+
+// Permanently remove records that were soft deleted before the retention period
+const purgeDeletedRecords = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - getRetentionDays() * 24 * 60 * 60 * 1000);
+
+  // Properties go one at a time so their stored images are removed too
+  let properties = 0;
+  const storage = getStorage();
+  for await (const property of Property.find(Property.deletedBeforeQuery(cutoff)).cursor()) {
+    await Promise.all(property.gallery.map(image => removeStoredImage(storage, image)))
+      .catch(err => console.error('Error removing stored images:', err));
+    await Property.deleteOne({ _id: property._id });
+    properties++;
+  }
+
+  const services = await Service.deleteMany(Service.deletedBeforeQuery(cutoff));
+  const contacts = await Contact.deleteMany(Contact.deletedBeforeQuery(cutoff));
+
+  return {
+    properties,
+    services: services.deletedCount,
+    contacts: contacts.deletedCount
+  };
+};
+
+// Run the purge periodically (SOFT_DELETE_PURGE_INTERVAL_MS, hourly by default)
+const startPurgeJob = (intervalMs = parseInt(process.env.SOFT_DELETE_PURGE_INTERVAL_MS) || 60 * 60 * 1000) => {
+  const timer = setInterval(() => {
+    purgeDeletedRecords().catch(err => console.error('Error purging deleted records:', err));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  getRetentionDays,
+  purgeDeletedRecords,
+  startPurgeJob
+};
@@ -0,0 +1,64 @@
+const SavedSearch = require('../models/SavedSearch');
+const OutboxMessage = require('../models/OutboxMessage');
+const { sendMail } = require('./mailer');
+
+// Queue alert messages for a user according to their notification preferences
+const queueAlerts = async (savedSearch, property) => {
+  const user = savedSearch.user;
+  if (!user || !user.isActive) return;
+
+  const notifications = (user.preferences && user.preferences.notifications) || {};
+  const price = property.priceFormatted || property.price;
+  const data = {
+    savedSearch: savedSearch._id,
+    property: property._id,
+    name: user.name,
+    searchName: savedSearch.name,
+    propertyName: property.name,
+    location: property.location,
+    price
+  };
+
+  if (notifications.email) {
+    await sendMail('saved-search-match', { to: user.email, user: user._id, data });
+  }
+
+  // SMS alerts wait in the outbox until an SMS provider is configured
+  if (notifications.sms && user.phone) {
+    await OutboxMessage.create({
+      channel: 'sms',
+      to: user.phone,
+      user: user._id,
+      template: 'saved-search-match',
+      text: `New match for "${savedSearch.name}": ${property.name}, ${property.location} (${price})`,
+      data
+    });
+  }
+};
+
+// Find saved searches a property newly matches and queue alerts for them.
+// `previous` is the property before an update (omit it for new listings);
+// searches it already matched are skipped so users are only alerted once.
+const matchSavedSearches = async (property, previous = null) => {
+  const candidates = await SavedSearch.findAlertCandidates(property);
+  const matched = candidates.filter(search => search.matches(property) && !search.matches(previous));
+  let notified = 0;
+
+  for (const search of matched) {
+    // Don't alert users about their own listings
+    if (search.user && property.createdBy && search.user._id.equals(property.createdBy)) continue;
+
+    await queueAlerts(search, property);
+    await SavedSearch.updateOne(
+      { _id: search._id },
+      { $set: { lastMatchedAt: new Date() }, $inc: { matchCount: 1 } }
+    );
+    notified += 1;
+  }
+
+  return notified;
+};
+
+module.exports = {
+  matchSavedSearches
+};
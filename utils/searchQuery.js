@@ -0,0 +1,99 @@
+// Natural-language search queries ("3 bed villa under 2M in Miami"). The parts
+// that name a listing filter are turned into GET /api/v1/properties query
+// parameters; the words left over are used for text search.
+const Property = require('../models/Property');
+
+// Price amount with an optional K/M suffix ("$2.5M", "800k", "1,200,000")
+const AMOUNT = '\\$?\\s*(\\d+(?:[.,]\\d+)*)\\s*(k|m|mm|thousand|million)?\\b';
+
+const SUFFIX_MULTIPLIERS = {
+  k: 1e3,
+  thousand: 1e3,
+  m: 1e6,
+  mm: 1e6,
+  million: 1e6
+};
+
+// Words that end a location ("in Miami with a pool" -> "Miami")
+const LOCATION_END_WORDS = ['with', 'without', 'and', 'for', 'that', 'which', 'having', 'near'];
+
+// Connecting words dropped from the leftover text
+const FILLER_WORDS = new Set(['a', 'an', 'the', 'in', 'near', 'around', 'with', 'and', 'or', 'for', 'of', 'to', 'at']);
+
+// Marks where an interpreted part was taken out, so a location stops there
+const PART_BOUNDARY = ' | ';
+
+// Amount of a matched price in full ("2.5", "m" -> 2500000)
+const toAmount = (number, suffix) => {
+  const amount = parseFloat(number.replace(/,/g, ''));
+  return Math.round(amount * (suffix ? SUFFIX_MULTIPLIERS[suffix.toLowerCase()] : 1));
+};
+
+// Pattern for a subcategory name, its plural and spacing variants ("office buildings", "mixed use")
+const subcategoryWord = (name) => `${name.toLowerCase().replace(/[\s-]+/g, '[\\s-]?')}s?`;
+
+// Parse a search query into { filters, text }. Filters use the names and
+// formats of the GET /api/v1/properties query parameters (minBedrooms,
+// subcategory, minPrice, maxPrice, category, location); text is what is left.
+const parseSearchQuery = (query) => {
+  const filters = {};
+  let rest = ` ${String(query || '')} `;
+
+  // Replace each match with a boundary, handing its groups to `interpret`
+  const take = (pattern, interpret) => {
+    rest = rest.replace(pattern, (...match) => {
+      interpret(...match);
+      return PART_BOUNDARY;
+    });
+  };
+
+  // Bedrooms ("3 bed", "2+ bedrooms", "at least 4 br")
+  take(/\b(?:at least\s+)?(\d+)\s*(?:\+|plus)?\s*-?\s*(?:bed(?:room)?s?|br|bds?)\b/gi, (match, count) => {
+    filters.minBedrooms = parseInt(count);
+  });
+
+  // Prices ("between 500k and 1M", "under 2M", "over $750,000")
+  take(new RegExp(`\\b(?:between|from)\\s+${AMOUNT}\\s*(?:and|to|-)\\s*${AMOUNT}`, 'gi'), (match, min, minSuffix, max, maxSuffix) => {
+    filters.minPrice = toAmount(min, minSuffix);
+    filters.maxPrice = toAmount(max, maxSuffix);
+  });
+  take(new RegExp(`(?:\\b(?:under|below|less than|up to|at most|max(?:imum)?)|<)\\s*${AMOUNT}`, 'gi'), (match, amount, suffix) => {
+    filters.maxPrice = toAmount(amount, suffix);
+  });
+  take(new RegExp(`(?:\\b(?:over|above|more than|at least|from|min(?:imum)?)|>)\\s*${AMOUNT}`, 'gi'), (match, amount, suffix) => {
+    filters.minPrice = toAmount(amount, suffix);
+  });
+
+  // Subcategories ("villa", "townhouses"), in the order they appear
+  const names = Object.values(Property.getSubcategories()).flat();
+  const subcategories = [];
+  take(new RegExp(`\\b(?:${names.map(subcategoryWord).join('|')})\\b`, 'gi'), (match) => {
+    subcategories.push(names.find(name => new RegExp(`^${subcategoryWord(name)}$`, 'i').test(match)));
+  });
+  if (subcategories.length > 0) filters.subcategory = [...new Set(subcategories)].join(',');
+
+  // Category ("commercial", "residential")
+  Property.getCategories().forEach(category => {
+    take(new RegExp(`\\b${category}\\b`, 'gi'), () => {
+      filters.category = category;
+    });
+  });
+
+  // Location: what follows "in", "near" or "around", up to the next part
+  const endWords = LOCATION_END_WORDS.join('|');
+  take(new RegExp(`\\b(?:in|near|around)\\s+([^|]+?)(?=\\s+(?:${endWords})\\b|\\s*\\||\\s*$)`, 'i'), (match, location) => {
+    const place = location.trim().replace(/[,.;:]+$/, '');
+    if (place) filters.location = place;
+  });
+
+  const text = rest
+    .split(/[\s|]+/)
+    .filter(word => word && !FILLER_WORDS.has(word.toLowerCase()))
+    .join(' ');
+
+  return { filters, text };
+};
+
+module.exports = {
+  parseSearchQuery
+};
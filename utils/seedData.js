@@ -1,7 +1,11 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const Property = require('../models/Property');
 const Service = require('../models/Service');
 const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+const SearchSuggestion = require('../models/SearchSuggestion');
+const { getExchangeRates } = require('./currency');
 require('dotenv').config();
 
 const sampleProperties = [
@@ -66,6 +70,7 @@ const sampleProperties = [
     address: {
       street: "456 City Center Blvd",
       city: "Los Angeles",
+      neighborhood: "Downtown",
       state: "CA",
       zipCode: "90012",
       country: "USA",
@@ -167,6 +172,7 @@ const sampleProperties = [
     address: {
       street: "2000 Avenue of the Stars",
       city: "Los Angeles",
+      neighborhood: "Century City",
       state: "CA",
       zipCode: "90067",
       country: "USA",
@@ -448,6 +454,43 @@ const sampleServices = [
   }
 ];
 
+// Find the agent user for an embedded (legacy) agent record, creating it if needed
+const findOrCreateAgentUser = async (embeddedAgent, password) => {
+  const email = embeddedAgent.email.toLowerCase().trim();
+  let user = await User.findOne({ email });
+
+  if (!user) {
+    user = await User.create({
+      name: embeddedAgent.name,
+      email,
+      password: password || crypto.randomBytes(16).toString('hex'),
+      phone: embeddedAgent.phone,
+      avatar: embeddedAgent.photo,
+      role: 'agent',
+      emailVerified: true
+    });
+  } else if (user.role === 'user') {
+    user.role = 'agent';
+    await user.save();
+  }
+
+  return user;
+};
+
+// Replace the embedded agent of each sample property with a reference to an agent user
+const withAgentUsers = async (properties, password) => {
+  const result = [];
+  for (const property of properties) {
+    if (!property.agent) {
+      result.push(property);
+      continue;
+    }
+    const agent = await findOrCreateAgentUser(property.agent, password);
+    result.push({ ...property, agent: agent._id });
+  }
+  return result;
+};
+
 const seedDatabase = async () => {
   try {
     // Clear existing data
@@ -456,14 +499,23 @@ const seedDatabase = async () => {
     await User.deleteMany({});
     console.log('Cleared existing data');
 
-    // Create sample properties
-    const properties = await Property.insertMany(sampleProperties);
+    // Create sample agents and properties
+    const agentPassword = process.env.AGENT_PASSWORD || 'agent123';
+    const properties = await Property.insertMany(await withAgentUsers(sampleProperties, agentPassword));
     console.log(`Created ${properties.length} sample properties`);
+    console.log(`Created ${await User.countDocuments({ role: 'agent' })} sample agents`);
+
+    // insertMany skips the save hooks that set base-currency prices
+    await Property.updateBasePrices(await getExchangeRates());
 
     // Create sample services
     const services = await Service.insertMany(sampleServices);
     console.log(`Created ${services.length} sample services`);
 
+    // Build the search suggestion index from the new listings
+    const { suggestions } = await SearchSuggestion.rebuild();
+    console.log(`Indexed ${suggestions} search suggestions`);
+
     // Create admin user if it doesn't exist
     const adminEmail = process.env.ADMIN_EMAIL || 'admin@realestate.com';
     const adminPassword = process.env.ADMIN_PASSWORD || 'admin123';
@@ -479,9 +531,94 @@ const seedDatabase = async () => {
   }
 };
 
-// Run seeding if this file is executed directly
+// Convert embedded agent objects on properties into agent user references.
+// Reads the raw collection because the schema no longer accepts embedded agents.
+// Embedded agents without an email, or whose user can't be created, are unset
+// so that no embedded object is left on the ObjectId path.
+const migrateEmbeddedAgents = async () => {
+  const collection = Property.collection;
+  const legacy = await collection
+    .find({ $or: [{ agent: { $type: 'object' } }, { agentId: { $exists: true } }] })
+    .project({ agent: 1 })
+    .toArray();
+
+  let linked = 0;
+  let unset = 0;
+
+  for (const property of legacy) {
+    const update = { $unset: { agentId: '' } };
+    const embedded = property.agent && !(property.agent instanceof mongoose.Types.ObjectId) ? property.agent : null;
+
+    if (embedded) {
+      const agent = embedded.email
+        ? await findOrCreateAgentUser(embedded).catch(error => {
+          console.error(`Could not link agent ${embedded.email} of property ${property._id}:`, error.message);
+          return null;
+        })
+        : null;
+
+      if (agent) {
+        update.$set = { agent: agent._id };
+        linked++;
+      } else {
+        update.$unset.agent = '';
+        unset++;
+      }
+    }
+
+    await collection.updateOne({ _id: property._id }, update);
+  }
+
+  return { linked, unset };
+};
+
+// Bring data created by older versions of the schema up to date
+const runMigrations = async () => {
+  try {
+    const geoCount = await Property.backfillGeo();
+    console.log(`Backfilled geo points for ${geoCount} properties`);
+
+    const agents = await migrateEmbeddedAgents();
+    console.log(`Linked agent users for ${agents.linked} properties`);
+    console.log(`Removed embedded agents that could not be linked from ${agents.unset} properties`);
+
+    const rentalCount = await Property.backfillRental();
+    console.log(`Added rental details to ${rentalCount} Lease Out properties`);
+
+    const pricePerSqftCount = await Property.backfillPricePerSqft();
+    console.log(`Set price per square foot for ${pricePerSqftCount} properties`);
+
+    const basePriceCount = await Property.updateBasePrices(await getExchangeRates());
+    console.log(`Set base-currency prices for ${basePriceCount} properties`);
+
+    const appointmentCount = await Appointment.backfillHoldsSlot();
+    console.log(`Marked held slots on ${appointmentCount} appointments`);
+
+    const { suggestions } = await SearchSuggestion.rebuild();
+    console.log(`Indexed ${suggestions} search suggestions`);
+
+    console.log('Migrations completed successfully!');
+    return { geoCount, agents, rentalCount, pricePerSqftCount, basePriceCount, appointmentCount, suggestions };
+  } catch (error) {
+    console.error('Error running migrations:', error);
+    throw error;
+  }
+};
+
+// Connect to the configured database, run a task and disconnect
+const runWithConnection = async (task) => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/real_estate_db');
+  try {
+    await task();
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+// Run seeding (or migrations with --migrate) if this file is executed directly
 if (require.main === module) {
-  seedDatabase();
+  const task = process.argv.includes('--migrate') ? runMigrations : seedDatabase;
+  runWithConnection(task).catch(() => process.exit(1));
 }
 
-module.exports = { seedDatabase, sampleProperties, sampleServices };
\ No newline at end of file
+module.exports = { seedDatabase, runMigrations, runWithConnection, sampleProperties, sampleServices };
\ No newline at end of file
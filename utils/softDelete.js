@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Query operations that leave out soft-deleted records
+const FILTERED_OPERATIONS = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct'];
+
+// Mongoose plugin for soft deletes. Deleted records keep their data (and
+// anything referencing them) but are hidden from queries and aggregations
+// until they are restored or purged. Pass { withDeleted: true } as a query
+// or aggregate option, or filter on deletedAt, to include them.
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(FILTERED_OPERATIONS, function() {
+    if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function() {
+    if (this.options.withDeleted) return;
+
+    // $geoNear (and a $match using $text) has to stay the first stage, so
+    // filter inside it instead
+    const [first] = this.pipeline();
+    if (first && first.$geoNear) {
+      first.$geoNear.query = { deletedAt: null, ...first.$geoNear.query };
+    } else if (first && first.$match) {
+      first.$match = { deletedAt: null, ...first.$match };
+    } else {
+      this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+  });
+
+  // Instance method to soft delete the record
+  schema.methods.softDelete = function(userId) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId;
+    return this.save({ validateBeforeSave: false });
+  };
+
+  // Instance method to restore a soft-deleted record
+  schema.methods.restore = function() {
+    this.deletedAt = null;
+    this.deletedBy = undefined;
+    return this.save({ validateBeforeSave: false });
+  };
+
+  // Static method to find a soft-deleted record by ID
+  schema.statics.findDeletedById = function(id) {
+    return this.findOne({ _id: id, deletedAt: { $ne: null } });
+  };
+
+  // Static method to build the query for records deleted before a date
+  schema.statics.deletedBeforeQuery = function(date) {
+    return { deletedAt: { $ne: null, $lte: date } };
+  };
+};
+
+module.exports = softDelete;
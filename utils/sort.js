@@ -0,0 +1,55 @@
+// Sort vocabularies for listing endpoints. Clients pick a sort by key; each key
+// maps to an indexed field and direction, and ties are broken by _id so pages
+// are stable and cursors (utils/pagination) can resume after any item.
+
+// Property listings (distance only applies to lat/lng searches)
+const PROPERTY_SORTS = {
+  newest: { field: 'createdAt', direction: -1 },
+  price_asc: { field: 'basePrice', direction: 1 },
+  price_desc: { field: 'basePrice', direction: -1 },
+  most_viewed: { field: 'views', direction: -1 },
+  area: { field: 'features.area', direction: -1 },
+  price_per_sqft: { field: 'pricePerSqft', direction: 1 },
+  distance: { field: 'distance', direction: 1 }
+};
+
+// Property listings that aren't located around a point
+const LISTING_SORTS = Object.fromEntries(Object.entries(PROPERTY_SORTS).filter(([key]) => key !== 'distance'));
+
+// Property text search (best match first by default)
+const SEARCH_SORTS = {
+  relevance: { field: 'score', direction: -1 },
+  ...LISTING_SORTS
+};
+
+// Contact inquiries
+const CONTACT_SORTS = {
+  newest: { field: 'createdAt', direction: -1 },
+  oldest: { field: 'createdAt', direction: 1 }
+};
+
+// Users (not client-selectable; used for cursor pages)
+const USER_SORTS = {
+  newest: { field: 'createdAt', direction: -1 }
+};
+
+// Look up a sort key in a vocabulary (null if it isn't one of its keys)
+const resolveSort = (sorts, key) => (Object.prototype.hasOwnProperty.call(sorts, key) ? sorts[key] : null);
+
+// Check whether a { field, direction } sort (e.g. from a cursor) is in a vocabulary
+const isKnownSort = (sorts, { field, direction }) => Object.values(sorts)
+  .some(sort => sort.field === field && sort.direction === direction);
+
+// Mongo sort for a { field, direction } sort, with _id as the tiebreaker
+const toSortOrder = ({ field, direction }) => ({ [field]: direction, _id: direction });
+
+module.exports = {
+  PROPERTY_SORTS,
+  LISTING_SORTS,
+  SEARCH_SORTS,
+  CONTACT_SORTS,
+  USER_SORTS,
+  resolveSort,
+  isKnownSort,
+  toSortOrder
+};
@@ -0,0 +1,33 @@
+const { createLocalStorage } = require('./localStorage');
+
+// Available storage adapters. Each adapter exposes:
+//   save(key, buffer, contentType) -> Promise<{ key, url }>
+//   remove(key) -> Promise<void>
+const adapters = {
+  local: () => createLocalStorage({
+    root: process.env.UPLOAD_PATH || 'uploads',
+    baseUrl: '/uploads'
+  })
+};
+
+let storage;
+
+// Get the configured storage adapter (STORAGE_DRIVER, defaults to local disk)
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!adapters[driver]) {
+      throw new Error(`Unknown storage driver: ${driver}`);
+    }
+    storage = adapters[driver]();
+  }
+  return storage;
+};
+
+// Register an additional storage adapter factory
+const registerStorage = (name, factory) => {
+  adapters[name] = factory;
+  storage = undefined;
+};
+
+module.exports = { getStorage, registerStorage };
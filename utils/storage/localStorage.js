@@ -0,0 +1,38 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Local disk storage adapter. Files are written under `root` and served
+// by the static /uploads route in server.js.
+const createLocalStorage = ({ root, baseUrl }) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    // Never allow keys to escape the upload directory
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    // Store a buffer under the given key and return its public URL
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return { key, url: `${baseUrl}/${key}` };
+    },
+
+    // Remove a stored file (missing files are ignored)
+    async remove(key) {
+      try {
+        await fs.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+module.exports = { createLocalStorage };
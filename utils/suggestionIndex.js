@@ -0,0 +1,39 @@
+const SearchSuggestion = require('../models/SearchSuggestion');
+
+// Listing changes are batched into one rebuild after this delay
+const REFRESH_DELAY_MS = 5000;
+
+let refreshTimer = null;
+
+// Rebuild the search suggestion index now
+const refreshSuggestionIndex = () => SearchSuggestion.rebuild();
+
+// Rebuild the index shortly after a listing change (at most one pending rebuild)
+const scheduleSuggestionRefresh = () => {
+  if (refreshTimer) return;
+
+  refreshTimer = setTimeout(() => {
+    refreshTimer = null;
+    refreshSuggestionIndex().catch(err => console.error('Error rebuilding search suggestions:', err));
+  }, REFRESH_DELAY_MS);
+  refreshTimer.unref();
+};
+
+// Rebuild the index now and then periodically (SEARCH_SUGGESTIONS_REFRESH_INTERVAL_MS,
+// hourly by default) to pick up changes made outside the API
+const startSuggestionIndexJob = (intervalMs = parseInt(process.env.SEARCH_SUGGESTIONS_REFRESH_INTERVAL_MS) || 60 * 60 * 1000) => {
+  const refresh = () => {
+    refreshSuggestionIndex().catch(err => console.error('Error rebuilding search suggestions:', err));
+  };
+  refresh();
+
+  const timer = setInterval(refresh, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  refreshSuggestionIndex,
+  scheduleSuggestionRefresh,
+  startSuggestionIndexJob
+};
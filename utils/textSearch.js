@@ -0,0 +1,83 @@
+// Text helpers for search suggestions and typo-tolerant property search.
+
+// Lowercase, strip accents and punctuation, and collapse whitespace
+const normalizeText = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+// Words of a text after normalizing
+const tokenize = (text) => {
+  const normalized = normalizeText(text);
+  return normalized ? normalized.split(' ') : [];
+};
+
+// Three-letter fragments of a word (padded, so short words have some too)
+const trigramsOf = (word) => {
+  const padded = `  ${word} `;
+  const trigrams = new Set();
+  for (let i = 0; i < padded.length - 2; i++) {
+    trigrams.add(padded.slice(i, i + 3));
+  }
+  return [...trigrams];
+};
+
+// Edit distance between two words, counting a swap of neighbouring letters as
+// one edit (optimal string alignment); gives up once it exceeds `max`
+const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (beforePrevious && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+    }
+    if (Math.min(...current) > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Typos tolerated in a word: none for short words, one from 4 letters, two from 8
+const allowedTypos = (word) => {
+  if (word.length >= 8) return 2;
+  if (word.length >= 4) return 1;
+  return 0;
+};
+
+// Runs of consecutive words in a text ("beverly hills villa" -> "beverly",
+// "beverly hills", ...), up to `maxWords` long
+const phrasesOf = (words, maxWords = 4) => {
+  const phrases = [];
+  for (let start = 0; start < words.length; start++) {
+    for (let end = start + 1; end <= Math.min(words.length, start + maxWords); end++) {
+      phrases.push(words.slice(start, end).join(' '));
+    }
+  }
+  return phrases;
+};
+
+// Escape a string for use inside a regular expression
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+  normalizeText,
+  tokenize,
+  trigramsOf,
+  editDistance,
+  allowedTypos,
+  phrasesOf,
+  escapeRegex
+};
@@ -0,0 +1,133 @@
+// Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30 second steps)
+// plus helpers to keep TOTP secrets encrypted at rest.
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+// Encode a buffer as unpadded base32 (RFC 4648)
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+// Decode a base32 string (padding, spaces and case are ignored)
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Generate a random base32 secret (160 bits, as recommended for HMAC-SHA1)
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Time step number for a timestamp
+const getStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// Compute the code for a secret at a time step (RFC 4226 dynamic truncation)
+const generateCode = (secret, step = getStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// Check a code against the current time step and `window` steps either side.
+// Returns the matching step (so callers can reject replays) or null.
+const verifyCode = (secret, code, { window = 1, time = Date.now() } = {}) => {
+  if (!/^\d{6}$/.test(String(code))) return null;
+
+  const current = getStep(time);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// Build the otpauth:// URI used by authenticator apps (and QR codes)
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString().replace(/\+/g, '%20')}`;
+};
+
+// Encryption key for stored secrets (TWO_FACTOR_ENCRYPTION_KEY, falls back to JWT_SECRET)
+const getEncryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+  .digest();
+
+// Encrypt a secret for storage (AES-256-GCM, "iv:tag:ciphertext" in hex)
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+// Decrypt a secret stored with encryptSecret()
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret
+};